@@ -4,18 +4,67 @@
  * ElWiz Prices - CLI Entry Point
  *
  * This is the main executable for the elwiz-prices module
+ *
+ *   elwiz-prices [price-config] [app-config]
+ *   elwiz-prices backfill --from YYYY-MM-DD --to YYYY-MM-DD [--region NO1]
+ *                [--source nordpool|entsoe] [--delay ms] [--retries n]
+ *                [price-config] [app-config]
+ *   elwiz-prices export --from YYYY-MM-DD --to YYYY-MM-DD [--region NO1]
+ *                [--format csv|ndjson] [--output file] [--resolution 1h|15m]
+ *                [--fields a,b] [--decimal .|,] [--delimiter ,|;|tab]
+ *                [--timezone Europe/Oslo] [price-config] [app-config]
  */
 
+const fs = require("fs");
 const { PriceManager, ConfigLoader } = require("..");
 const TaskScheduler = require("easy-tasker");
+const { formatRows } = require("../src/priceExport");
+const {
+  addDays,
+  clockInTimeZone,
+  zonedTimeToDate,
+} = require("../utils/timezone");
 
 // Handle command line arguments
 const args = process.argv.slice(2);
-const priceConfigPath = args[0];
-const appConfigPath = args[1];
+const COMMANDS = ["backfill", "export"];
+const command = COMMANDS.includes(args[0]) ? args[0] : "run";
+const { positional, options } = parseArgs(
+  command === "run" ? args : args.slice(1),
+);
+const priceConfigPath = positional[0];
+const appConfigPath = positional[1];
 const activeSchedulers = [];
 
-function shouldFetchNextDay(config, referenceDate = new Date()) {
+/**
+ * Split `--name value` / `--name=value` options from positional arguments
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (inline !== undefined) {
+      options[name] = inline;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) {
+      options[name] = argv[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+  return { positional, options };
+}
+
+/**
+ * Whether tomorrow's prices may be fetched: inside or after the next-day
+ * window, on the market clock of `timeZone`
+ */
+function shouldFetchNextDay(config, timeZone, referenceDate = new Date()) {
   const hours =
     Array.isArray(config.scheduleHours) && config.scheduleHours.length
       ? config.scheduleHours.map(Number)
@@ -25,8 +74,10 @@ function shouldFetchNextDay(config, referenceDate = new Date()) {
       ? config.scheduleMinutes.map(Number)
       : [config.nextDayFetchMinute ?? 0];
 
-  const currentHour = referenceDate.getHours();
-  const currentMinute = referenceDate.getMinutes();
+  const { hour: currentHour, minute: currentMinute } = clockInTimeZone(
+    referenceDate,
+    timeZone,
+  );
   const latestHour = Math.max(...hours);
 
   if (hours.includes(currentHour) && minutes.includes(currentMinute)) {
@@ -77,7 +128,11 @@ async function main() {
 
     console.log(`Price configuration: ${configLoader.priceConfigPath}`);
     console.log(`General configuration: ${configLoader.appConfigPath}`);
-    console.log(`Price service for region: ${config.regionCode}`);
+    const regions =
+      Array.isArray(config.regions) && config.regions.length
+        ? config.regions
+        : [config.regionCode];
+    console.log(`Price service for region(s): ${regions.join(", ")}`);
     console.log(`Fetching prices from: ${config.priceFetchPriority}`);
     console.log(`MQTT enabled: ${config.enableMqtt}`);
     console.log(`Days to keep cache files: ${config.keepDays}`);
@@ -126,43 +181,68 @@ async function startScheduledFetching(priceManager, config) {
 async function runFetchCycle(priceManager, config) {
   const keepDays = config.keepDays || 7;
   const priceFetchPriority = config.priceFetchPriority || "nordpool";
-  const allowNextDayFetch = shouldFetchNextDay(config);
-  // Fetch prices for the last keepDays, only if not already cached
-  for (let i = (keepDays - 1) * -1; i <= 1; i++) {
-    try {
-      const dateStr = getDateForOffset(i);
-      if (i === 1 && !allowNextDayFetch) {
-        console.log(
-          `Skipping next-day fetch before window (${nextDayWindowDescription(config)}): ${dateStr}`,
+  const allowNextDayFetch = shouldFetchNextDay(config, priceManager.timezone);
+  // Fetch prices for the last keepDays in every region, only if not already cached
+  for (const region of priceManager.getRegions()) {
+    for (let i = (keepDays - 1) * -1; i <= 1; i++) {
+      try {
+        const dateStr = priceManager.getDateForOffset(i);
+        if (i === 1 && !allowNextDayFetch) {
+          console.log(
+            `Skipping next-day fetch before window (${nextDayWindowDescription(config)}): ${region} ${dateStr}`,
+          );
+          continue;
+        }
+
+        const exists = await priceManager.priceDataExists(dateStr, region);
+
+        if (!exists) {
+          console.log(
+            `Fetching prices for ${region} ${dateStr} (not in cache)`,
+          );
+          await safeFetchAndProcess(
+            priceManager,
+            i,
+            priceFetchPriority,
+            config,
+            region,
+          );
+        } else {
+          console.log(
+            `Prices for ${region} ${dateStr} already in cache, skipping fetch`,
+          );
+        }
+      } catch (error) {
+        console.warn(
+          `Failed to check/cache prices for ${region} offset ${i}:`,
+          error.message,
         );
-        continue;
       }
-
-      const exists = await priceManager.priceDataExists(dateStr);
-
-      if (!exists) {
-        console.log(`Fetching prices for ${dateStr} (not in cache)`);
-        await safeFetchAndProcess(priceManager, i, priceFetchPriority, config);
-      } else {
-        console.log(`Prices for ${dateStr} already in cache, skipping fetch`);
-      }
-    } catch (error) {
-      console.warn(
-        `Failed to check/cache prices for offset ${i}:`,
-        error.message,
-      );
     }
   }
 
   // Clean up old cache files
   await priceManager.cleanupOldCache();
 
-  // Handle MQTT publishing of the latest 2 days
-  await handleMqttPublishing(priceManager);
+  // Handle MQTT publishing of the latest 2 days for every region
+  for (const region of priceManager.getRegions()) {
+    try {
+      await priceManager.publishLatestPrices(region);
+    } catch (error) {
+      console.error("Error handling MQTT publishing:", error.message);
+    }
+  }
+  await priceManager.publishCapacityStatus();
+
+  // Forecast tomorrow where its prices are still missing
+  await priceManager.updateForecasts();
 }
 
 function scheduleCronJobs(priceManager, config) {
   stopAllSchedules();
+  // Hours are on the market clock; cron strings are kept in that clock for
+  // the admin status and run hourly, see atMarketHour
+  const timezone = priceManager.timezone;
 
   const hours = uniqueNumbers(
     Array.isArray(config.scheduleHours) && config.scheduleHours.length
@@ -178,27 +258,25 @@ function scheduleCronJobs(priceManager, config) {
   for (const hour of hours) {
     for (const minute of minutes) {
       const cron = `${minute} ${hour} * * *`;
+      const taskId = `price-fetch-${hour}-${minute}`;
       const scheduler = new TaskScheduler(
-        async () => {
-          try {
+        atMarketHour(
+          hour,
+          timezone,
+          priceManager.trackJob(taskId, cron, async () => {
             if (config.debug)
               console.log(
                 `[${new Date().toISOString()}] Scheduled fetch (${pad(hour)}:${pad(minute)})`,
               );
             await runFetchCycle(priceManager, config);
-          } catch (error) {
-            console.error(
-              `[${new Date().toISOString()}] Scheduled fetch error:`,
-              error.message,
-            );
-          }
-        },
+          }),
+        ),
         {
-          taskId: `price-fetch-${hour}-${minute}`,
+          taskId,
           logging: Boolean(config.debug),
         },
       );
-      scheduler.timeAlignedSchedule(cron);
+      scheduler.timeAlignedSchedule(`${minute} * * * *`);
       activeSchedulers.push(scheduler);
       //console.log(
       //  `Scheduled price fetch at ${pad(hour)}:${pad(minute)} (cron: ${cron}).`,
@@ -214,10 +292,13 @@ function scheduleCronJobs(priceManager, config) {
     for (const hour of hours) {
       for (const minute of euMinutes) {
         const cron = `${minute} ${hour} * * *`;
+        const taskId = `price-entsoe-${hour}-${minute}`;
         const scheduler = new TaskScheduler(
-          async () => {
-            try {
-              if (!shouldFetchNextDay(config)) {
+          atMarketHour(
+            hour,
+            timezone,
+            priceManager.trackJob(taskId, cron, async () => {
+              if (!shouldFetchNextDay(config, timezone)) {
                 console.log(
                   `Skipping ENTSO-E retry before window ${nextDayWindowDescription(config)}`,
                 );
@@ -227,20 +308,23 @@ function scheduleCronJobs(priceManager, config) {
                 console.log(
                   `[${new Date().toISOString()}] Scheduled ENTSO-E fallback (${pad(hour)}:${pad(minute)})`,
                 );
-              await safeFetchAndProcess(priceManager, 1, "entsoe", config);
-            } catch (error) {
-              console.error(
-                `[${new Date().toISOString()}] Scheduled ENTSO-E fetch error:`,
-                error.message,
-              );
-            }
-          },
+              for (const region of priceManager.getRegions()) {
+                await safeFetchAndProcess(
+                  priceManager,
+                  1,
+                  "entsoe",
+                  config,
+                  region,
+                );
+              }
+            }),
+          ),
           {
-            taskId: `price-entsoe-${hour}-${minute}`,
+            taskId,
             logging: Boolean(config.debug),
           },
         );
-        scheduler.timeAlignedSchedule(cron);
+        scheduler.timeAlignedSchedule(`${minute} * * * *`);
         activeSchedulers.push(scheduler);
         //console.log(
         //  `Scheduled ENTSO-E retry at ${pad(hour)}:${pad(minute)} (cron: ${cron}).`,
@@ -248,6 +332,26 @@ function scheduleCronJobs(priceManager, config) {
       }
     }
   }
+
+  // After midnight "tomorrow" moves on, so forecast the new next day
+  if (config.forecast && config.forecast.enabled !== false) {
+    const cron = "5 0 * * *";
+    const scheduler = new TaskScheduler(
+      atMarketHour(
+        0,
+        timezone,
+        priceManager.trackJob("price-forecast", cron, () =>
+          priceManager.updateForecasts(),
+        ),
+      ),
+      {
+        taskId: "price-forecast",
+        logging: Boolean(config.debug),
+      },
+    );
+    scheduler.timeAlignedSchedule("5 * * * *");
+    activeSchedulers.push(scheduler);
+  }
 }
 
 function uniqueNumbers(values) {
@@ -260,14 +364,16 @@ function pad(value) {
   return value.toString().padStart(2, "0");
 }
 
-// Helper function to get date string for offset
-function getDateForOffset(dayOffset) {
-  const date = new Date();
-  date.setDate(date.getDate() + dayOffset);
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, "0");
-  const day = String(date.getDate()).padStart(2, "0");
-  return `${year}-${month}-${day}`;
+/**
+ * Run `task` only when the market clock shows `hour`. The scheduler works on
+ * the server's clock, so jobs are scheduled every hour at their minute and
+ * this picks the market hour.
+ */
+function atMarketHour(hour, timeZone, task) {
+  return async () => {
+    if (clockInTimeZone(new Date(), timeZone).hour !== hour) return;
+    await task();
+  };
 }
 
 async function safeFetchAndProcess(
@@ -275,152 +381,199 @@ async function safeFetchAndProcess(
   dayOffset,
   priceFetchPriority,
   config,
+  region = priceManager.getRegions()[0],
 ) {
   try {
-    if (dayOffset === 1 && !shouldFetchNextDay(config)) {
+    if (dayOffset === 1 && !shouldFetchNextDay(config, priceManager.timezone)) {
       console.log(
         `Skipping next-day fetch before window ${nextDayWindowDescription(config)}`,
       );
       return null;
     }
-    const targetDate = getDateForOffset(dayOffset);
-    if (await priceManager.priceDataExists(targetDate)) {
+    const targetDate = priceManager.getDateForOffset(dayOffset);
+    if (await priceManager.priceDataExists(targetDate, region)) {
       console.log(
-        `Skipping fetch for ${targetDate}; cached price file already present.`,
+        `Skipping fetch for ${region} ${targetDate}; cached price file already present.`,
       );
-      return await priceManager.getPriceDataByDate(targetDate);
+      return await priceManager.getPriceDataByDate(targetDate, region);
     }
 
     // Use the fetch-only method to avoid MQTT publishing during fetch cycle
     const prices = await priceManager.fetchPricesOnly(
       dayOffset,
       priceFetchPriority,
+      region,
     );
     console.log(
-      `Successfully fetched prices for day offset ${dayOffset}: ${prices.priceDate}`,
+      `Successfully fetched ${region} prices for day offset ${dayOffset}: ${prices.priceDate}`,
     );
     return prices;
   } catch (error) {
     // Log as warning since it's common for future dates to not be available
     console.warn(
-      `Could not fetch prices for day offset ${dayOffset}: ${error.message}`,
+      `Could not fetch ${region} prices for day offset ${dayOffset}: ${error.message}`,
     );
     return null;
   }
 }
 
-async function handleMqttPublishing(priceManager) {
-  if (!priceManager.mqttClient || !priceManager.enableMqtt) {
-    return; // Nothing to do if MQTT is not enabled
+/**
+ * Fetch a historical date range into the price cache and report the days
+ * that could not be fetched. Exits non-zero when any day failed.
+ */
+async function backfill() {
+  if (!options.from || !options.to) {
+    console.error(
+      "Usage: elwiz-prices backfill --from YYYY-MM-DD --to YYYY-MM-DD [--region NO1] [--source nordpool|entsoe] [--delay ms] [--retries n] [price-config] [app-config]",
+    );
+    process.exit(2);
   }
 
-  const mqttClient = priceManager.mqttClient;
-  const priceTopic = priceManager.priceTopic;
-
+  const configLoader = new ConfigLoader(priceConfigPath, appConfigPath);
+  // Backfilling only writes the cache; no MQTT or REST is started
+  const config = {
+    ...configLoader.getPriceConfig(),
+    enableMqtt: false,
+    enableRest: false,
+  };
+  const priceManager = new PriceManager(config, null, configLoader);
+  const regions = options.region
+    ? String(options.region)
+        .split(",")
+        .map((region) => region.trim().toUpperCase())
+        .filter(Boolean)
+    : priceManager.getRegions();
+
+  const reports = [];
   try {
-    // Get cached price data from price manager
-    const cachedDates = await priceManager.getAllCachedDates();
-    const latestDates = await priceManager.getLatestDates(2); // Get latest 2 dates
-
-    // Determine if we have tomorrow's data available by checking if tomorrow's date exists in cache
-    const today = new Date().toISOString().split("T")[0];
-    const tomorrowDate = new Date();
-    tomorrowDate.setDate(tomorrowDate.getDate() + 1);
-    const tomorrow = tomorrowDate.toISOString().split("T")[0];
-
-    // Check if tomorrow's data exists in cache
-    const tomorrowAvailable = await priceManager.priceDataExists(tomorrow);
-
-    if (tomorrowAvailable) {
-      // Tomorrow's prices are available: publish today & tomorrow, unpublish yesterday
-      console.log("NextDayAvailable");
-
-      // Publish today's prices (if we have it in cache)
-      const todayData = await priceManager.getPriceDataByDate(today);
-      if (todayData) {
-        const todayTopic = `${priceTopic}/${today}`;
-        await mqttClient.publish(
-          todayTopic,
-          JSON.stringify(todayData, null, 2),
-          { retain: true, qos: 1 },
-        );
-        console.log(`MQTT: Published today's prices to ${todayTopic}`);
-      }
+    for (const region of regions) {
+      console.log(
+        `Backfilling ${region} prices from ${options.from} to ${options.to}`,
+      );
+      const report = await priceManager.backfillPrices({
+        from: options.from,
+        to: options.to,
+        region,
+        source: typeof options.source === "string" ? options.source : null,
+        delayMs: options.delay === undefined ? null : Number(options.delay),
+        retries: options.retries === undefined ? null : Number(options.retries),
+        onProgress: ({ index, total, date, status, error }) => {
+          const counter = `${String(index).padStart(String(total).length)}/${total}`;
+          console.log(
+            `[${region} ${counter}] ${date} ${status}${error ? `: ${error}` : ""}`,
+          );
+        },
+      });
+      reports.push(report);
+    }
+  } catch (error) {
+    console.error(`Backfill failed: ${error.message}`);
+    await priceManager.stop();
+    process.exit(2);
+  }
 
-      // Publish tomorrow's prices (if we have it in cache)
-      const tomorrowData = await priceManager.getPriceDataByDate(tomorrow);
-      if (tomorrowData) {
-        const tomorrowTopic = `${priceTopic}/${tomorrow}`;
-        await mqttClient.publish(
-          tomorrowTopic,
-          JSON.stringify(tomorrowData, null, 2),
-          { retain: true, qos: 1 },
-        );
-        console.log(`MQTT: Published tomorrow's prices to ${tomorrowTopic}`);
-      }
+  console.log("\nBackfill summary:");
+  for (const report of reports) {
+    console.log(
+      `  ${report.region}: ${report.fetched.length} fetched, ${report.skipped.length} already cached, ${report.failed.length} failed (${report.total} days)`,
+    );
+  }
+  const failed = reports.flatMap((report) =>
+    report.failed.map((day) => ({ region: report.region, ...day })),
+  );
+  if (failed.length) {
+    console.log("\nDays that could not be fetched:");
+    for (const day of failed) {
+      console.log(`  ${day.region} ${day.date}: ${day.error}`);
+    }
+    console.log("Run the same command again to retry them.");
+  }
 
-      // Unpublish yesterday's prices (if we have it in cache) - AFTER publishing new data
-      const yesterdayDate = new Date();
-      yesterdayDate.setDate(yesterdayDate.getDate() - 1);
-      const yesterday = yesterdayDate.toISOString().split("T")[0];
-
-      const yesterdayData = await priceManager.getPriceDataByDate(yesterday);
-      if (yesterdayData) {
-        const yesterdayTopic = `${priceTopic}/${yesterday}`;
-        await mqttClient.publish(yesterdayTopic, "", { retain: true, qos: 1 });
-        console.log(
-          `MQTT: Unpublished yesterday's prices from ${yesterdayTopic}`,
-        );
-      }
-    } else {
-      // Tomorrow's prices are NOT available: publish today & yesterday, unpublish 2 days ago
-
-      // Publish yesterday's prices
-      const yesterdayDate = new Date();
-      yesterdayDate.setDate(yesterdayDate.getDate() - 1);
-      const yesterday = yesterdayDate.toISOString().split("T")[0];
-
-      const yesterdayData = await priceManager.getPriceDataByDate(yesterday);
-      if (yesterdayData) {
-        const yesterdayTopic = `${priceTopic}/${yesterday}`;
-        await mqttClient.publish(
-          yesterdayTopic,
-          JSON.stringify(yesterdayData, null, 2),
-          { retain: true, qos: 1 },
-        );
-        console.log(`MQTT: Published yesterday's prices to ${yesterdayTopic}`);
-      }
+  await priceManager.stop();
+  process.exit(failed.length ? 1 : 0);
+}
 
-      // Publish today's prices (if we have it in cache)
-      const todayData = await priceManager.getPriceDataByDate(today);
-      if (todayData) {
-        const todayTopic = `${priceTopic}/${today}`;
-        await mqttClient.publish(
-          todayTopic,
-          JSON.stringify(todayData, null, 2),
-          { retain: true, qos: 1 },
-        );
-        console.log(`MQTT: Published today's prices to ${todayTopic}`);
-      }
+/**
+ * Write cached prices for a date range as CSV or NDJSON, to --output or
+ * stdout. Plain dates are whole days in the time zone, --to included.
+ */
+async function exportPrices() {
+  if (!options.from || !options.to) {
+    console.error(
+      "Usage: elwiz-prices export --from YYYY-MM-DD --to YYYY-MM-DD [--region NO1] [--format csv|ndjson] [--output file] [--resolution 1h|15m] [--fields a,b] [--decimal .|,] [--delimiter ,|;|tab] [--timezone Europe/Oslo] [price-config] [app-config]",
+    );
+    process.exit(2);
+  }
+  const output = typeof options.output === "string" ? options.output : null;
+  if (!output) {
+    // Keep stdout for the exported data
+    console.log = console.error;
+    console.info = console.error;
+  }
 
-      // Unpublish 2 days ago - AFTER publishing new data
-      const twoDaysAgoDate = new Date();
-      twoDaysAgoDate.setDate(twoDaysAgoDate.getDate() - 2);
-      const twoDaysAgo = twoDaysAgoDate.toISOString().split("T")[0];
-
-      const twoDaysAgoData = await priceManager.getPriceDataByDate(twoDaysAgo);
-      if (twoDaysAgoData) {
-        const twoDaysAgoTopic = `${priceTopic}/${twoDaysAgo}`;
-        await mqttClient.publish(twoDaysAgoTopic, "", { retain: true, qos: 1 });
-        console.log(
-          `MQTT: Unpublished 2 days ago's prices from ${twoDaysAgoTopic}`,
-        );
-      }
+  const configLoader = new ConfigLoader(priceConfigPath, appConfigPath);
+  const config = {
+    ...configLoader.getPriceConfig(),
+    enableMqtt: false,
+    enableRest: false,
+  };
+  let priceManager = null;
+  try {
+    priceManager = new PriceManager(config, null, configLoader);
+    const region = priceManager.resolveRegion(
+      typeof options.region === "string" ? options.region : null,
+    );
+    const timezone =
+      typeof options.timezone === "string"
+        ? options.timezone
+        : priceManager.timezone;
+    const dayStart = (value, days = 0) =>
+      /^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? zonedTimeToDate(addDays(value, days), "00:00", timezone).toISOString()
+        : value;
+
+    const range = await priceManager.getPriceRange(
+      {
+        from: dayStart(String(options.from)),
+        to: dayStart(String(options.to), 1),
+        resolution: options.resolution,
+        fields: options.fields,
+      },
+      region,
+      { paginate: false },
+    );
+    const text = formatRows(range.slots, options.format || "csv", {
+      decimalSeparator: options.decimal,
+      delimiter: options.delimiter === "tab" ? "\t" : options.delimiter,
+      timezone,
+    });
+
+    if (output) {
+      fs.writeFileSync(output, text);
+    } else {
+      await new Promise((resolve) => process.stdout.write(text, resolve));
+    }
+    console.error(
+      `Exported ${range.total} ${region} slots from ${options.from} to ${options.to}${output ? ` to ${output}` : ""}`,
+    );
+    if (range.missingDates.length) {
+      console.error(`No cached prices for: ${range.missingDates.join(", ")}`);
     }
   } catch (error) {
-    console.error("Error handling MQTT publishing:", error.message);
+    console.error(`Export failed: ${error.message}`);
+    if (priceManager) await priceManager.stop();
+    process.exit(2);
   }
+
+  await priceManager.stop();
+  process.exit(0);
 }
 
 // Run the main function
-main();
+if (command === "backfill") {
+  backfill();
+} else if (command === "export") {
+  exportPrices();
+} else {
+  main();
+}
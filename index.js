@@ -13,6 +13,19 @@ const RestServer = require("./src/restServer");
 const MQTTClient = require("./utils/mqttClient");
 const ConfigLoader = require("./utils/configLoader");
 const CurrencyFetcher = require("./src/currencyFetcher");
+const PriceCalculator = require("./src/priceCalculator");
+const TariffSchedule = require("./src/tariffSchedule");
+const SubsidyCalculator = require("./src/subsidyCalculator");
+const CapacityTariff = require("./src/capacityTariff");
+const PriceLevels = require("./src/priceLevels");
+const BatteryPlanner = require("./src/batteryPlanner");
+const EvPlanner = require("./src/evPlanner");
+const PriceForecaster = require("./src/priceForecaster");
+const MetricsRegistry = require("./src/metrics");
+const PriceStream = require("./src/priceStream");
+const LruCache = require("./src/lruCache");
+const ApiGuard = require("./src/apiGuard");
+const RateLimiter = require("./src/rateLimiter");
 const { fetchCurrencies } = require("energy-price-fetcher");
 
 module.exports = {
@@ -23,6 +36,19 @@ module.exports = {
   RestServer,
   ConfigLoader,
   CurrencyFetcher,
+  PriceCalculator,
+  TariffSchedule,
+  SubsidyCalculator,
+  CapacityTariff,
+  PriceLevels,
+  BatteryPlanner,
+  EvPlanner,
+  PriceForecaster,
+  MetricsRegistry,
+  PriceStream,
+  LruCache,
+  ApiGuard,
+  RateLimiter,
   fetchCurrencies,
   // For backward compatibility, also export directly
   default: {
@@ -33,6 +59,19 @@ module.exports = {
     RestServer,
     ConfigLoader,
     CurrencyFetcher,
+    PriceCalculator,
+    TariffSchedule,
+    SubsidyCalculator,
+    CapacityTariff,
+    PriceLevels,
+    BatteryPlanner,
+    EvPlanner,
+    PriceForecaster,
+    MetricsRegistry,
+    PriceStream,
+    LruCache,
+    ApiGuard,
+    RateLimiter,
     fetchCurrencies,
   },
 };
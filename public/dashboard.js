@@ -0,0 +1,430 @@
+/**
+ * ElWiz Prices - Dashboard
+ *
+ * Today's and tomorrow's prices from /api/prices, kept current by the
+ * /api/stream events. Plain browser JavaScript, no build step.
+ */
+
+(() => {
+  const KEY_STORAGE = "elwiz-prices-api-key";
+  const FIELD_PREFERENCE = ["netPrice", "totalPrice", "spotPrice"];
+  const WINDOW_DURATIONS = ["1h", "3h", "6h"];
+  const FALLBACK_REFRESH_MS = 5 * 60 * 1000; // Without EventSource support
+  const SVG = "http://www.w3.org/2000/svg";
+
+  const state = {
+    regions: [],
+    region: null,
+    field: null,
+    days: { today: null, tomorrow: null },
+    now: null,
+    windows: [],
+    stream: null,
+  };
+
+  const $ = (id) => document.getElementById(id);
+
+  function el(tag, attrs = {}, ...children) {
+    const node = document.createElement(tag);
+    Object.assign(node, attrs);
+    node.append(...children);
+    return node;
+  }
+
+  function svg(tag, attrs = {}, ...children) {
+    const node = document.createElementNS(SVG, tag);
+    for (const [name, value] of Object.entries(attrs)) {
+      node.setAttribute(name, value);
+    }
+    node.append(...children);
+    return node;
+  }
+
+  function setStatus(text, isError = false) {
+    $("status").textContent = text;
+    $("status").className = isError ? "error" : "muted";
+  }
+
+  // ------------------------------------------------------------------------
+  // API access
+  // ------------------------------------------------------------------------
+
+  function apiKey() {
+    return localStorage.getItem(KEY_STORAGE) || "";
+  }
+
+  /**
+   * GET a JSON route; null when it answers 404
+   */
+  async function api(path) {
+    const headers = { Accept: "application/json" };
+    if (apiKey()) headers["X-API-Key"] = apiKey();
+    const response = await fetch(path, { headers });
+    if (response.status === 401) {
+      $("key-form").hidden = false;
+      throw new Error("An API key is needed");
+    }
+    if (response.status === 404) return null;
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error((body && body.error) || response.statusText);
+    }
+    return body;
+  }
+
+  function basePath() {
+    return "/api/prices" + (state.region ? "/" + state.region : "");
+  }
+
+  /**
+   * Configured regions, read from the region parameter of the OpenAPI
+   * document (it lists them only when several are configured)
+   */
+  async function loadRegions() {
+    const spec = await api("/api/openapi.json");
+    const param = spec && spec.components.parameters.region;
+    return (param && param.schema.enum) || [];
+  }
+
+  async function loadPrices() {
+    const [today, tomorrow] = await Promise.all([
+      api(basePath() + "/today"),
+      api(basePath() + "/tomorrow"),
+    ]);
+    state.days = { today, tomorrow };
+    updateFields();
+    await Promise.all([loadNow(), loadWindows()]);
+  }
+
+  async function loadNow() {
+    state.now = await api(basePath() + "/now");
+  }
+
+  async function loadWindows() {
+    const query = state.field
+      ? "&field=" + encodeURIComponent(state.field)
+      : "";
+    state.windows = await Promise.all(
+      WINDOW_DURATIONS.map(async (duration) => ({
+        duration,
+        window: await api(
+          basePath() + "/cheapest-window?duration=" + duration + query,
+        ).catch(() => null),
+      })),
+    );
+  }
+
+  async function refresh() {
+    try {
+      await loadPrices();
+      render();
+      setStatus("Updated " + new Date().toLocaleTimeString());
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  // ------------------------------------------------------------------------
+  // Live updates
+  // ------------------------------------------------------------------------
+
+  function connect() {
+    if (state.stream) state.stream.close();
+    if (typeof EventSource === "undefined") {
+      setInterval(refresh, FALLBACK_REFRESH_MS);
+      return;
+    }
+    const params = new URLSearchParams({ events: "prices,tomorrow,slot" });
+    if (state.region) params.set("region", state.region);
+    if (apiKey()) params.set("apiKey", apiKey());
+    const stream = new EventSource("/api/stream?" + params);
+    stream.addEventListener("prices", refresh);
+    stream.addEventListener("tomorrow", refresh);
+    stream.addEventListener("slot", (event) => {
+      const now = JSON.parse(event.data);
+      const today = state.days.today;
+      // A new day: tomorrow has become today
+      if (!today || now.date !== today.priceDate) return refresh();
+      state.now = now;
+      return loadWindows().then(render, render);
+    });
+    stream.onerror = () => setStatus("Reconnecting…");
+    state.stream = stream;
+  }
+
+  // ------------------------------------------------------------------------
+  // Rendering
+  // ------------------------------------------------------------------------
+
+  function slotsOf(day) {
+    return (day && (day.hourly || day.slots)) || [];
+  }
+
+  function priceFields(day) {
+    const slot = slotsOf(day)[0] || {};
+    return Object.keys(slot).filter(
+      (key) => /Price$/.test(key) && typeof slot[key] === "number",
+    );
+  }
+
+  function updateFields() {
+    const fields = priceFields(state.days.today || state.days.tomorrow);
+    if (!fields.includes(state.field)) {
+      state.field =
+        FIELD_PREFERENCE.find((field) => fields.includes(field)) ||
+        fields[0] ||
+        null;
+    }
+    const select = $("field");
+    select.replaceChildren(
+      ...fields.map((field) =>
+        el("option", { value: field, textContent: field }),
+      ),
+    );
+    select.value = state.field || "";
+  }
+
+  function format(value) {
+    return typeof value === "number" ? value.toFixed(2) : "–";
+  }
+
+  // Slot times carry the market offset, so read the clock time as written
+  function clock(time) {
+    return time ? String(time).slice(11, 16) : "";
+  }
+
+  function render() {
+    renderNow();
+    for (const name of ["today", "tomorrow"]) {
+      const day = state.days[name];
+      $(name + "-date").textContent = day ? day.priceDate : "";
+      renderChart($(name + "-chart"), day, name);
+      renderSummary($(name + "-summary"), day);
+    }
+    renderWindows();
+  }
+
+  function renderNow() {
+    const now = state.now;
+    const box = $("now");
+    if (!now || !now.current) {
+      box.replaceChildren(el("span", { textContent: "No current price" }));
+      return;
+    }
+    const { current, next } = now;
+    const level = current.level
+      ? current.level.toLowerCase().replace(/_/g, " ")
+      : "";
+    box.replaceChildren(
+      el(
+        "div",
+        {},
+        el("div", { className: "muted", textContent: "Now" }),
+        el("div", {
+          className: "price",
+          textContent: format(current[state.field]),
+        }),
+        el("div", { textContent: level }),
+      ),
+      el(
+        "div",
+        {},
+        el("div", { className: "muted", textContent: "Until" }),
+        el("div", { textContent: clock(now.endsAt) }),
+      ),
+      el(
+        "div",
+        {},
+        el("div", { className: "muted", textContent: "Next" }),
+        el("div", { textContent: next ? format(next[state.field]) : "–" }),
+      ),
+    );
+  }
+
+  function renderChart(container, day, name) {
+    const slots = slotsOf(day);
+    const width = 960;
+    const height = 220;
+    const pad = { top: 10, right: 10, bottom: 22, left: 44 };
+    if (!slots.length) {
+      const text = name === "tomorrow" ? "Not published yet" : "No prices";
+      container.replaceChildren(
+        svg(
+          "svg",
+          { viewBox: `0 0 ${width} ${height}` },
+          svg(
+            "text",
+            {
+              x: width / 2,
+              y: height / 2,
+              "text-anchor": "middle",
+              class: "empty",
+            },
+            text,
+          ),
+        ),
+      );
+      return;
+    }
+
+    const values = slots.map((slot) => Number(slot[state.field]) || 0);
+    const top = Math.max(0, ...values);
+    const bottom = Math.min(0, ...values);
+    const span = top - bottom || 1;
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    const y = (value) => pad.top + ((top - value) / span) * plotHeight;
+    const step = plotWidth / slots.length;
+    const isToday = state.now && day.priceDate === state.now.date;
+
+    const nodes = [
+      svg("line", {
+        x1: pad.left,
+        x2: width - pad.right,
+        y1: y(0),
+        y2: y(0),
+        class: "axis",
+      }),
+      svg(
+        "text",
+        { x: pad.left - 6, y: y(top) + 4, "text-anchor": "end" },
+        format(top),
+      ),
+      svg(
+        "text",
+        { x: pad.left - 6, y: y(0) + 4, "text-anchor": "end" },
+        format(0),
+      ),
+    ];
+    if (bottom < 0) {
+      nodes.push(
+        svg(
+          "text",
+          { x: pad.left - 6, y: y(bottom) + 4, "text-anchor": "end" },
+          format(bottom),
+        ),
+      );
+    }
+    slots.forEach((slot, index) => {
+      const value = values[index];
+      const classes = ["bar"];
+      if (slot.level) classes.push("level-" + slot.level.toLowerCase());
+      if (isToday && index === state.now.index) classes.push("current");
+      if (isToday && index < state.now.index) classes.push("past");
+      const x = pad.left + index * step;
+      nodes.push(
+        svg(
+          "rect",
+          {
+            x: x + step * 0.1,
+            y: Math.min(y(value), y(0)),
+            width: Math.max(1, step * 0.8),
+            height: Math.max(1, Math.abs(y(value) - y(0))),
+            class: classes.join(" "),
+          },
+          svg(
+            "title",
+            {},
+            `${clock(slot.startTime)}  ${format(slot[state.field])}`,
+          ),
+        ),
+      );
+      const time = clock(slot.startTime);
+      if (time.endsWith(":00") && Number(time.slice(0, 2)) % 3 === 0) {
+        nodes.push(
+          svg(
+            "text",
+            { x: x + step / 2, y: height - 6, "text-anchor": "middle" },
+            time.slice(0, 2),
+          ),
+        );
+      }
+    });
+    container.replaceChildren(
+      svg(
+        "svg",
+        { viewBox: `0 0 ${width} ${height}`, preserveAspectRatio: "none" },
+        ...nodes,
+      ),
+    );
+  }
+
+  function renderSummary(list, day) {
+    const daily = (day && day.daily) || {};
+    const entries = Object.entries(daily).filter(
+      ([, value]) => typeof value === "number",
+    );
+    list.replaceChildren(
+      ...entries.map(([key, value]) =>
+        el(
+          "div",
+          {},
+          el("dt", { textContent: key }),
+          el("dd", { textContent: format(value) }),
+        ),
+      ),
+    );
+  }
+
+  function renderWindows() {
+    const rows = state.windows.map(({ duration, window }) =>
+      el(
+        "tr",
+        {},
+        el("th", { textContent: duration }),
+        el("td", {
+          textContent: window
+            ? `${window.start.slice(0, 10)} ${clock(window.start)}–${clock(window.end)}`
+            : "No complete window in the published prices",
+        }),
+        el("td", {
+          className: "number",
+          textContent: window ? format(window.avgPrice) : "",
+        }),
+      ),
+    );
+    $("windows").replaceChildren(...rows);
+  }
+
+  // ------------------------------------------------------------------------
+  // Start
+  // ------------------------------------------------------------------------
+
+  $("key").value = apiKey();
+  $("key-form").addEventListener("submit", (event) => {
+    event.preventDefault();
+    localStorage.setItem(KEY_STORAGE, $("key").value.trim());
+    $("key-form").hidden = true;
+    start();
+  });
+
+  $("field").addEventListener("change", () => {
+    state.field = $("field").value;
+    loadWindows().then(render, render);
+  });
+
+  $("region").addEventListener("change", () => {
+    state.region = $("region").value;
+    refresh();
+    connect();
+  });
+
+  async function start() {
+    try {
+      state.regions = await loadRegions();
+    } catch (error) {
+      state.regions = [];
+    }
+    state.region = state.regions[0] || null;
+    $("region-control").hidden = state.regions.length < 2;
+    $("region").replaceChildren(
+      ...state.regions.map((region) =>
+        el("option", { value: region, textContent: region }),
+      ),
+    );
+    await refresh();
+    connect();
+  }
+
+  start();
+})();
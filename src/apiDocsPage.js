@@ -0,0 +1,159 @@
+/**
+ * ElWiz Prices - API Docs Page
+ *
+ * A self-contained HTML page (no external scripts or styles) that lists the
+ * operations of the OpenAPI document and lets you try them from the browser.
+ */
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const STYLE = `
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 0 auto; max-width: 960px; padding: 1em; color: #222; }
+  h1 { font-size: 1.5em; margin-bottom: 0.2em; }
+  h2 { font-size: 1.15em; margin-top: 1.5em; border-bottom: 1px solid #ddd; }
+  details { border: 1px solid #ddd; border-radius: 4px; margin: 0.4em 0; }
+  summary { cursor: pointer; padding: 0.4em 0.6em; }
+  .method { display: inline-block; width: 4.5em; font-weight: bold; text-transform: uppercase; }
+  .get { color: #0a6; } .post { color: #06c; } .delete { color: #c30; } .put { color: #a60; }
+  .path { font-family: monospace; }
+  .op { padding: 0 0.8em 0.8em; }
+  table { border-collapse: collapse; width: 100%; }
+  td, th { text-align: left; padding: 0.2em 0.4em; vertical-align: top; border-bottom: 1px solid #eee; }
+  input, textarea { font: inherit; width: 100%; box-sizing: border-box; }
+  pre { background: #f6f6f6; padding: 0.6em; overflow: auto; max-height: 24em; }
+  .muted { color: #777; }
+`;
+
+const SCRIPT = `
+(async () => {
+  const root = document.getElementById("operations");
+  const specUrl = root.dataset.spec;
+  const el = (tag, attrs = {}, ...children) => {
+    const node = document.createElement(tag);
+    Object.assign(node, attrs);
+    node.append(...children);
+    return node;
+  };
+  let spec;
+  try {
+    spec = await (await fetch(specUrl)).json();
+  } catch (error) {
+    root.append(el("p", { textContent: "Could not load " + specUrl + ": " + error.message }));
+    return;
+  }
+  const apiKey = document.getElementById("api-key");
+  apiKey.parentElement.hidden = !(spec.components && spec.components.securitySchemes);
+  const resolve = (item) =>
+    item.$ref ? item.$ref.split("/").slice(1).reduce((o, k) => o[k], spec) : item;
+  const groups = new Map();
+  for (const [path, item] of Object.entries(spec.paths)) {
+    for (const [method, op] of Object.entries(item)) {
+      const tag = (op.tags && op.tags[0]) || "Other";
+      if (!groups.has(tag)) groups.set(tag, []);
+      groups.get(tag).push({ path, method, op });
+    }
+  }
+  for (const [tag, ops] of groups) {
+    root.append(el("h2", { textContent: tag }));
+    for (const { path, method, op } of ops) root.append(operation(path, method, op));
+  }
+
+  function operation(path, method, op) {
+    const params = (op.parameters || []).map(resolve);
+    const inputs = new Map();
+    const rows = params.map((p) => {
+      const input = el("input", { placeholder: p.example !== undefined ? String(p.example) : "" });
+      inputs.set(p, input);
+      const type = p.schema.type === "array" ? p.schema.items.type + "[]" : p.schema.type;
+      const values = p.schema.enum || (p.schema.items && p.schema.items.enum);
+      return el("tr", {},
+        el("td", {}, el("code", { textContent: p.name }), p.required ? " *" : ""),
+        el("td", { className: "muted", textContent: p.in + ", " + type }),
+        el("td", { textContent: (p.description || "") + (values ? " (" + values.join(", ") + ")" : "") }),
+        el("td", {}, input));
+    });
+    const body = op.requestBody ? el("textarea", { rows: 4, placeholder: "{ }" }) : null;
+    const output = el("pre", { hidden: true });
+    const send = el("button", { textContent: "Send", type: "button" });
+    send.onclick = async () => {
+      let url = path;
+      const query = new URLSearchParams();
+      for (const [p, input] of inputs) {
+        const value = input.value.trim();
+        if (p.in === "path") {
+          const encoded = p.name === "path"
+            ? value.split("/").map(encodeURIComponent).join("/")
+            : encodeURIComponent(value);
+          url = url.replace("{" + p.name + "}", encoded);
+        } else if (value) {
+          query.append(p.name, value);
+        }
+      }
+      if (query.toString()) url += "?" + query;
+      output.hidden = false;
+      if (op.responses && Object.values(op.responses).some((r) => r.content && r.content["text/event-stream"])) {
+        output.textContent = "Event stream: open " + url + " with EventSource or curl -N";
+        return;
+      }
+      output.textContent = method.toUpperCase() + " " + url + " ...";
+      try {
+        const init = { method: method.toUpperCase(), headers: {} };
+        if (apiKey.value) init.headers["X-API-Key"] = apiKey.value;
+        if (body && body.value.trim()) {
+          init.headers["Content-Type"] = "application/json";
+          init.body = body.value;
+        }
+        const response = await fetch(url, init);
+        const text = await response.text();
+        let shown = text;
+        try { shown = JSON.stringify(JSON.parse(text), null, 2); } catch (e) { /* not JSON */ }
+        output.textContent = response.status + " " + response.statusText + "\\n\\n" + shown;
+      } catch (error) {
+        output.textContent = "Request failed: " + error.message;
+      }
+    };
+    const content = el("div", { className: "op" });
+    if (op.description) content.append(el("p", { textContent: op.description }));
+    if (rows.length) content.append(el("table", {}, ...rows));
+    if (body) content.append(el("p", { textContent: "Request body (JSON)" }), body);
+    content.append(el("p", {}, send), output);
+    return el("details", {},
+      el("summary", {},
+        el("span", { className: "method " + method, textContent: method }),
+        el("span", { className: "path", textContent: path }),
+        el("span", { className: "muted", textContent: "  " + (op.summary || "") })),
+      content);
+  }
+})();
+`;
+
+/**
+ * The docs page for the OpenAPI document at `specUrl`
+ */
+function renderDocsPage({ title = "ElWiz Prices REST API", specUrl }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="muted">OpenAPI document: <a href="${escapeHtml(specUrl)}">${escapeHtml(specUrl)}</a></p>
+<p hidden><label>API key <input id="api-key" type="password" autocomplete="off"></label></p>
+<div id="operations" data-spec="${escapeHtml(specUrl)}"></div>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderDocsPage };
@@ -0,0 +1,138 @@
+/**
+ * ElWiz Prices - API Guard
+ *
+ * Optional API keys and rate limits for the REST server. Keys are given in
+ * the X-API-Key header, as `Authorization: Bearer <key>` or as `?apiKey=`
+ * (for EventSource and calendar clients, which cannot set headers).
+ * Requests with a valid key are limited per key, all others per IP.
+ * Admin routes need a key marked `admin: true`, even when no other route
+ * needs a key.
+ */
+
+const crypto = require("crypto");
+const RateLimiter = require("./rateLimiter");
+
+function digest(value) {
+  return crypto.createHash("sha256").update(String(value)).digest();
+}
+
+/**
+ * Key entries from config: strings or `{ name, key, rateLimit, admin }`
+ */
+function parseApiKeys(entries = []) {
+  return (Array.isArray(entries) ? entries : []).map((entry, index) => {
+    const settings = typeof entry === "string" ? { key: entry } : entry || {};
+    if (!settings.key || String(settings.key).length < 8) {
+      throw new Error(
+        `API key ${settings.name || index + 1} must be at least 8 characters`,
+      );
+    }
+    return {
+      name: String(settings.name || `key${index + 1}`),
+      digest: digest(settings.key),
+      rateLimit:
+        settings.rateLimit === undefined ? null : Number(settings.rateLimit),
+      admin: settings.admin === true,
+    };
+  });
+}
+
+/**
+ * The key presented by a request, or null
+ */
+function readApiKey(req) {
+  const header = req.get("X-API-Key");
+  if (header) return header.trim();
+  const match = /^Bearer\s+(.+)$/i.exec(req.get("Authorization") || "");
+  if (match) return match[1].trim();
+  const query = req.query?.apiKey;
+  return typeof query === "string" && query ? query : null;
+}
+
+class ApiGuard {
+  /**
+   * `apiKeys` as in parseApiKeys; `rateLimit` is
+   * `{ windowSeconds, perKey, perIp }`, with limits per window
+   */
+  constructor({ apiKeys = [], rateLimit = null } = {}) {
+    this.keys = parseApiKeys(apiKeys);
+    const limits = rateLimit || {};
+    this.perKey = Number(limits.perKey) || null;
+    this.perIp = Number(limits.perIp) || null;
+    this.limiter =
+      this.perKey || this.perIp || this.keys.some((key) => key.rateLimit)
+        ? new RateLimiter({ windowSeconds: limits.windowSeconds })
+        : null;
+  }
+
+  get requiresKey() {
+    return this.keys.length > 0;
+  }
+
+  /**
+   * The configured key matching `presented`, or null
+   */
+  findKey(presented) {
+    const candidate = digest(presented);
+    return (
+      this.keys.find((key) => crypto.timingSafeEqual(key.digest, candidate)) ||
+      null
+    );
+  }
+
+  /**
+   * Admit or refuse a request. Returns `{ client, headers, error }`:
+   * `client` is the matching key's name, `headers` the rate limit headers
+   * and `error` `{ status, message, headers }` when the request is refused.
+   * Public routes work without a key; admin routes need an admin key.
+   * Routes that are not `limited` are not counted against rate limits.
+   */
+  check(req, { isPublic = false, admin = false, limited = true } = {}) {
+    const presented = readApiKey(req);
+    const key = presented ? this.findKey(presented) : null;
+    const headers = {};
+
+    // Count first, so guessing keys uses up the caller's IP budget
+    const limit = key ? key.rateLimit || this.perKey : this.perIp;
+    if (this.limiter && limit && limited) {
+      const id = key ? `key:${key.name}` : `ip:${req.ip}`;
+      const result = this.limiter.take(id, limit);
+      headers["RateLimit-Limit"] = String(result.limit);
+      headers["RateLimit-Remaining"] = String(result.remaining);
+      headers["RateLimit-Reset"] = String(result.resetSeconds);
+      if (!result.allowed) {
+        return {
+          client: key?.name || null,
+          headers,
+          error: {
+            status: 429,
+            message: "Too many requests",
+            headers: { "Retry-After": String(result.resetSeconds) },
+          },
+        };
+      }
+    }
+
+    if (!key && (admin || (!isPublic && this.requiresKey))) {
+      return {
+        client: null,
+        headers,
+        error: {
+          status: 401,
+          message: presented ? "Invalid API key" : "API key required",
+          headers: { "WWW-Authenticate": 'Bearer realm="elwiz-prices"' },
+        },
+      };
+    }
+    if (admin && !key.admin) {
+      return {
+        client: key.name,
+        headers,
+        error: { status: 403, message: "API key has no admin access" },
+      };
+    }
+    return { client: key?.name || null, headers, error: null };
+  }
+}
+
+module.exports = ApiGuard;
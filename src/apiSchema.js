@@ -0,0 +1,909 @@
+/**
+ * ElWiz Prices - API Schema
+ *
+ * OpenAPI 3 description of the REST routes. RestServer records every route
+ * it registers together with a short spec (summary, parameter names,
+ * response); the document at /api/openapi.json is built from those records,
+ * and the same parameter definitions validate incoming requests.
+ */
+
+const { optionError } = require("./priceSlots");
+const PriceLevels = require("./priceLevels");
+const PriceStream = require("./priceStream");
+const { PERIODS } = require("./priceStats");
+const { WINDOW_TYPES } = require("./priceCalendar");
+
+const OPENAPI_VERSION = "3.0.3";
+const FIELD_PATTERN = "^[A-Za-z]\\w*$";
+const PRICE_SOURCES = ["nordpool", "entsoe"];
+
+function pathParam(name, schema, description, example) {
+  return { name, in: "path", required: true, description, schema, example };
+}
+
+function queryParam(name, schema, description, extra = {}) {
+  return { name, in: "query", required: false, description, schema, ...extra };
+}
+
+function listOf(items) {
+  return { type: "array", items };
+}
+
+function regionSchema(regions) {
+  return regions.length
+    ? { type: "string", enum: regions }
+    : { type: "string", example: "NO1" };
+}
+
+/**
+ * Parameter definitions by component name. `regions` are the configured
+ * bidding zones.
+ */
+function apiParameters({ regions = [] } = {}) {
+  const duration = (fallback) =>
+    queryParam(
+      "duration",
+      { type: "string", ...(fallback ? { default: fallback } : {}) },
+      "Length as 3h, 90m, 1h30m or a number of hours",
+      { example: "3h" },
+    );
+  return {
+    date: pathParam(
+      "date",
+      {
+        type: "string",
+        pattern: "^(\\d{4}-\\d{2}-\\d{2}|today|tomorrow|yesterday)$",
+      },
+      "Price date (YYYY-MM-DD), or today, tomorrow or yesterday in the market time zone",
+      "2025-10-15",
+    ),
+    hour: pathParam(
+      "hour",
+      { type: "integer", minimum: 0, maximum: 23 },
+      "Index into hourly[], 0-23. This is the hour of the day only for hourly prices on a 24-hour day; use hourly/<index> for quarter-hour slots",
+      10,
+    ),
+    element: pathParam(
+      "element",
+      { type: "string" },
+      "Field of the selected object",
+      "spotPrice",
+    ),
+    path: pathParam(
+      "path",
+      { type: "string" },
+      "Slash-separated path into the object; numeric segments index arrays",
+      "hourly/10/spotPrice",
+    ),
+    period: pathParam(
+      "period",
+      { type: "string", enum: PERIODS },
+      "Rollup period",
+      "monthly",
+    ),
+    statsKey: pathParam(
+      "key",
+      { type: "string" },
+      "Rollup key: 2025-10-15, 2025-W42, 2025-10 or 2025",
+      "2025-10",
+    ),
+    level: queryParam(
+      "level",
+      listOf({ type: "string", enum: PriceLevels.LEVELS }),
+      "Keep only slots with these price levels (comma separated)",
+      { style: "form", explode: false },
+    ),
+    format: queryParam(
+      "format",
+      { type: "string", enum: ["json", "csv"] },
+      "Response format; defaults to the Accept header",
+    ),
+    rangeFrom: queryParam(
+      "from",
+      { type: "string" },
+      "Start of the range: YYYY-MM-DD (midnight in the market time zone) or an ISO timestamp",
+      { required: true, example: "2025-10-01" },
+    ),
+    rangeTo: queryParam(
+      "to",
+      { type: "string" },
+      "End of the range (exclusive), at most 366 days after from",
+      { required: true, example: "2025-10-08" },
+    ),
+    resolution: queryParam(
+      "resolution",
+      { type: "string", enum: ["1h", "15m"] },
+      "Convert every day to this resolution",
+    ),
+    fields: queryParam(
+      "fields",
+      listOf({ type: "string", pattern: FIELD_PATTERN }),
+      "Slot fields to keep (comma separated)",
+      { style: "form", explode: false, example: "spotPrice,totalPrice" },
+    ),
+    offset: queryParam(
+      "offset",
+      { type: "integer", minimum: 0, default: 0 },
+      "Index of the first slot returned",
+    ),
+    limit: queryParam(
+      "limit",
+      { type: "integer", minimum: 1, maximum: 10000, default: 1000 },
+      "Slots per page",
+    ),
+    windowDuration: duration("1h"),
+    slotsDuration: duration(null),
+    calendarDuration: duration("2h"),
+    after: queryParam(
+      "after",
+      { type: "string" },
+      "Search from this time: an ISO timestamp or HH:mm (next occurrence)",
+      { example: "22:00" },
+    ),
+    before: queryParam(
+      "before",
+      { type: "string" },
+      "Search until this time: an ISO timestamp or HH:mm (next occurrence)",
+      { example: "07:00" },
+    ),
+    searchFrom: queryParam("from", { type: "string" }, "Alias of after"),
+    searchTo: queryParam("to", { type: "string" }, "Alias of before"),
+    field: queryParam(
+      "field",
+      { type: "string", pattern: FIELD_PATTERN },
+      "Slot field to rank by",
+      { example: "spotPrice" },
+    ),
+    count: queryParam(
+      "count",
+      { type: "integer", minimum: 1 },
+      "Number of slots to select",
+    ),
+    minRun: queryParam(
+      "minRun",
+      { type: "string" },
+      "Shortest run of selected slots",
+      { example: "1h" },
+    ),
+    maxGap: queryParam(
+      "maxGap",
+      { type: "string" },
+      "Longest gap between runs (0 forces one block)",
+      { example: "3h" },
+    ),
+    forceOn: queryParam(
+      "forceOn",
+      listOf({ type: "string" }),
+      "Times whose slots must be selected (repeat or comma separate)",
+      { style: "form", explode: true, example: ["18:00"] },
+    ),
+    maxPrice: queryParam(
+      "maxPrice",
+      { type: "number" },
+      "Never select slots above this price",
+    ),
+    events: queryParam(
+      "events",
+      listOf({ type: "string", enum: PriceStream.EVENT_TYPES }),
+      "Event types to receive (comma separated, default all)",
+      { style: "form", explode: false },
+    ),
+    streamRegion: queryParam(
+      "region",
+      listOf(regionSchema(regions)),
+      "Regions to receive (comma separated, default all)",
+      { style: "form", explode: false },
+    ),
+    region: queryParam(
+      "region",
+      regionSchema(regions),
+      "Bidding zone (default: the first configured)",
+    ),
+    windowType: queryParam(
+      "type",
+      listOf({ type: "string", enum: WINDOW_TYPES }),
+      "Kinds of window to list (default both)",
+      { style: "form", explode: false },
+    ),
+    cheapBelow: queryParam(
+      "cheapBelow",
+      { type: "number" },
+      "Only list a cheapest window with an average below this price",
+    ),
+    expensiveAbove: queryParam(
+      "expensiveAbove",
+      { type: "number" },
+      "Only list a most expensive window with an average above this price",
+    ),
+    days: queryParam(
+      "days",
+      { type: "integer", minimum: 0, maximum: 366, default: 7 },
+      "Past days to include",
+    ),
+    statsFrom: queryParam(
+      "from",
+      { type: "string" },
+      "First rollup key to list",
+    ),
+    statsTo: queryParam("to", { type: "string" }, "Last rollup key to list"),
+    soc: queryParam(
+      "soc",
+      { type: "number", minimum: 0, maximum: 100 },
+      "State of charge in percent, overriding the last known value",
+    ),
+    energyKwh: queryParam(
+      "energyKwh",
+      { type: "number", minimum: 0 },
+      "Energy to charge; previews a plan without storing it",
+    ),
+    powerKw: queryParam(
+      "powerKw",
+      { type: "number", minimum: 0 },
+      "Charging power",
+    ),
+    departure: queryParam(
+      "departure",
+      { type: "string" },
+      "Departure: an ISO timestamp or HH:mm (next occurrence)",
+      { example: "07:00" },
+    ),
+    source: queryParam(
+      "source",
+      { type: "string", enum: PRICE_SOURCES },
+      "Price provider (default: priceFetchPriority)",
+    ),
+    regions: queryParam(
+      "region",
+      listOf(regionSchema(regions)),
+      "Regions (comma separated, default all)",
+      { style: "form", explode: false },
+    ),
+    tz: queryParam(
+      "tz",
+      { type: "string" },
+      "IANA time zone to write timestamps in (default: as stored, in the market time zone)",
+      { example: "Europe/Oslo" },
+    ),
+  };
+}
+
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+const SCHEMAS = {
+  Error: {
+    type: "object",
+    required: ["status", "error"],
+    properties: {
+      status: { type: "integer" },
+      error: { type: "string" },
+      info: { type: "string" },
+    },
+  },
+  PriceSlot: {
+    type: "object",
+    properties: {
+      startTime: { type: "string", format: "date-time" },
+      endTime: { type: "string", format: "date-time" },
+      spotPrice: nullable({ type: "number" }),
+      totalPrice: { type: "number" },
+      netPrice: { type: "number" },
+      level: { type: "string", enum: PriceLevels.LEVELS },
+    },
+    additionalProperties: true,
+  },
+  DailySummary: {
+    type: "object",
+    properties: {
+      minPrice: { type: "number" },
+      maxPrice: { type: "number" },
+      avgPrice: { type: "number" },
+      peakPrice: { type: "number" },
+      offPeakPrice: { type: "number" },
+      levelCounts: {
+        type: "object",
+        additionalProperties: { type: "integer" },
+      },
+    },
+    additionalProperties: true,
+  },
+  PriceDay: {
+    type: "object",
+    properties: {
+      priceDate: { type: "string", format: "date" },
+      hourly: {
+        type: "array",
+        items: { $ref: "#/components/schemas/PriceSlot" },
+      },
+      daily: { $ref: "#/components/schemas/DailySummary" },
+    },
+    additionalProperties: true,
+  },
+  PriceRange: {
+    type: "object",
+    properties: {
+      region: nullable({ type: "string" }),
+      from: { type: "string", format: "date-time" },
+      to: { type: "string", format: "date-time" },
+      resolution: nullable({ type: "string" }),
+      fields: nullable({ type: "array", items: { type: "string" } }),
+      missingDates: {
+        type: "array",
+        items: { type: "string", format: "date" },
+      },
+      total: { type: "integer" },
+      offset: { type: "integer" },
+      limit: { type: "integer" },
+      nextOffset: nullable({ type: "integer" }),
+      slots: {
+        type: "array",
+        items: { $ref: "#/components/schemas/PriceSlot" },
+      },
+    },
+  },
+  CurrentSlot: {
+    type: "object",
+    properties: {
+      date: { type: "string", format: "date" },
+      index: { type: "integer" },
+      current: { $ref: "#/components/schemas/PriceSlot" },
+      next: nullable({ $ref: "#/components/schemas/PriceSlot" }),
+      endsAt: { type: "string", format: "date-time" },
+      remainingSeconds: { type: "integer" },
+    },
+  },
+  PriceWindow: {
+    type: "object",
+    properties: {
+      start: { type: "string", format: "date-time" },
+      end: { type: "string", format: "date-time" },
+      durationMinutes: { type: "integer" },
+      avgPrice: { type: "number" },
+      provisional: { type: "boolean" },
+      slots: { type: "array", items: { type: "object" } },
+    },
+  },
+  SlotSelection: {
+    type: "object",
+    properties: {
+      avgPrice: { type: "number" },
+      provisional: { type: "boolean" },
+      slots: { type: "array", items: { type: "object" } },
+      runs: { type: "array", items: { type: "object" } },
+      schedule: {
+        type: "object",
+        additionalProperties: { type: "array", items: { type: "boolean" } },
+      },
+    },
+  },
+};
+
+const anything = {};
+const object = { type: "object" };
+
+/**
+ * Route specs by name: `summary`, `description`, `tag`, `parameters`
+ * (component names), `response` (schema name or inline schema), `produces`
+ * (media types), `status` (success code), `requestBody` (inline schema),
+ * `public` (no API key needed), `admin` (needs an admin API key) and
+ * `rateLimit: false` (not counted against rate limits)
+ */
+const ROUTE_SPECS = {
+  health: {
+    public: true,
+    rateLimit: false, // Health probes must not run into the limit
+    summary: "Health check",
+    tag: "Service",
+    response: { type: "object", properties: { status: { type: "string" } } },
+  },
+  metrics: {
+    summary: "Prometheus metrics",
+    tag: "Service",
+    produces: ["text/plain"],
+  },
+  apiIndex: {
+    public: true,
+    summary: "API index with links to the documentation",
+    tag: "Service",
+    response: object,
+  },
+  openapi: {
+    public: true,
+    summary: "This OpenAPI document",
+    tag: "Service",
+    response: object,
+  },
+  docs: {
+    public: true,
+    summary: "Browsable API documentation",
+    tag: "Service",
+    produces: ["text/html"],
+  },
+  dashboard: {
+    public: true,
+    summary: "Price dashboard",
+    description:
+      "Today's and tomorrow's prices, the current slot and the cheapest windows. Only with enableDashboard.",
+    tag: "Service",
+    produces: ["text/html"],
+  },
+  capacity: {
+    summary: "Capacity tariff step and peaks",
+    tag: "Planning",
+    response: object,
+  },
+  capacityPeak: {
+    summary: "Report a daily consumption peak",
+    tag: "Planning",
+    response: object,
+    requestBody: {
+      type: "object",
+      required: ["peak"],
+      properties: {
+        peak: { type: "number", description: "Peak in kW" },
+        date: { type: "string", format: "date" },
+      },
+    },
+  },
+  batteryPlan: {
+    summary: "Battery charge and discharge plan",
+    tag: "Planning",
+    parameters: ["soc", "field", "tz"],
+    response: object,
+  },
+  evPlan: {
+    summary: "Active EV charging plan, or a preview with energyKwh",
+    tag: "Planning",
+    parameters: [
+      "energyKwh",
+      "powerKw",
+      "departure",
+      "maxPrice",
+      "field",
+      "tz",
+    ],
+    response: object,
+  },
+  evPlanSet: {
+    summary: "Make a charging request the active EV plan",
+    tag: "Planning",
+    response: object,
+    requestBody: {
+      type: "object",
+      required: ["energyKwh"],
+      properties: {
+        energyKwh: { type: "number" },
+        powerKw: { type: "number" },
+        departure: { type: "string", example: "07:00" },
+        maxPrice: { type: "number" },
+        field: { type: "string" },
+      },
+    },
+  },
+  evPlanClear: {
+    summary: "Clear the active EV plan",
+    tag: "Planning",
+    status: 204,
+  },
+  stats: {
+    summary: "Price statistics of a period, or all rollups without a key",
+    tag: "Statistics",
+    parameters: ["period", "statsKey", "region", "statsFrom", "statsTo"],
+    response: object,
+  },
+  stream: {
+    summary: "Server-Sent Events with price and slot updates",
+    tag: "Feeds",
+    parameters: ["events", "streamRegion"],
+    produces: ["text/event-stream"],
+  },
+  calendar: {
+    summary: "iCalendar feed of the cheapest and most expensive windows",
+    tag: "Feeds",
+    parameters: [
+      "calendarDuration",
+      "windowType",
+      "cheapBelow",
+      "expensiveAbove",
+      "field",
+      "days",
+      "region",
+    ],
+    produces: ["text/calendar"],
+  },
+  priceRange: {
+    summary: "Slots of a time range across days",
+    tag: "Prices",
+    parameters: [
+      "rangeFrom",
+      "rangeTo",
+      "resolution",
+      "fields",
+      "offset",
+      "limit",
+      "format",
+      "tz",
+    ],
+    response: "PriceRange",
+    produces: ["application/json", "text/csv"],
+  },
+  cheapestWindow: {
+    summary: "Cheapest contiguous window",
+    tag: "Prices",
+    parameters: [
+      "windowDuration",
+      "after",
+      "before",
+      "searchFrom",
+      "searchTo",
+      "field",
+      "tz",
+    ],
+    response: "PriceWindow",
+  },
+  cheapestSlots: {
+    summary: "Cheapest slots with run and gap constraints",
+    tag: "Prices",
+    parameters: [
+      "count",
+      "slotsDuration",
+      "after",
+      "before",
+      "searchFrom",
+      "searchTo",
+      "minRun",
+      "maxGap",
+      "forceOn",
+      "maxPrice",
+      "field",
+      "tz",
+    ],
+    response: "SlotSelection",
+  },
+  forecast: {
+    summary: "Provisional prices for a day not yet published",
+    description: "Without a date: tomorrow.",
+    tag: "Prices",
+    parameters: ["date", "level", "tz"],
+    response: "PriceDay",
+  },
+  now: {
+    summary: "Current slot, next slot and time left",
+    tag: "Prices",
+    parameters: ["tz"],
+    response: "CurrentSlot",
+  },
+  nowPath: {
+    summary: "Value inside the current slot object",
+    tag: "Prices",
+    parameters: ["path", "tz"],
+    response: anything,
+  },
+  daily: {
+    summary: "Daily summary of a day",
+    tag: "Prices",
+    parameters: ["date", "tz"],
+    response: "DailySummary",
+  },
+  dailyElement: {
+    summary: "Field of the daily summary",
+    tag: "Prices",
+    parameters: ["date", "element", "tz"],
+    response: anything,
+  },
+  hour: {
+    summary: "Slot at an index (shorthand for hourly/<hour>)",
+    description:
+      "Returns hourly[hour]. With quarter-hour prices or on a DST day this is not the slot starting at that hour of the day.",
+    tag: "Prices",
+    parameters: ["date", "hour", "tz"],
+    response: "PriceSlot",
+  },
+  hourElement: {
+    summary:
+      "Field of the slot at an index (shorthand for hourly/<hour>/<element>)",
+    tag: "Prices",
+    parameters: ["date", "hour", "element", "tz"],
+    response: anything,
+  },
+  dayPath: {
+    summary: "Value inside a day object",
+    description:
+      "The path may span several segments, e.g. hourly/10/spotPrice. level filters slot arrays.",
+    tag: "Prices",
+    parameters: ["date", "path", "level", "tz"],
+    response: anything,
+  },
+  day: {
+    summary: "Whole day object",
+    tag: "Prices",
+    parameters: ["date", "level", "format", "tz"],
+    response: "PriceDay",
+    produces: ["application/json", "text/csv"],
+  },
+  adminRefetch: {
+    admin: true,
+    summary: "Fetch a day again and replace the cached copy",
+    description:
+      "For corrected prices. The cached day is kept when the fetch fails (502).",
+    tag: "Admin",
+    parameters: ["date", "source", "region"],
+    response: {
+      type: "object",
+      properties: {
+        date: { type: "string", format: "date" },
+        region: { type: "string" },
+        source: { type: "string" },
+        replaced: { type: "boolean" },
+        changed: { type: "boolean" },
+        contentHash: { type: "string" },
+        fetchedAt: { type: "string", format: "date-time" },
+      },
+    },
+  },
+  adminDeleteDay: {
+    admin: true,
+    summary: "Remove a day from the price cache",
+    tag: "Admin",
+    parameters: ["date", "region"],
+    status: 204,
+  },
+  adminRepublish: {
+    admin: true,
+    summary: "Publish the latest days to MQTT again",
+    description: "Answers 409 when MQTT is not enabled.",
+    tag: "Admin",
+    parameters: ["regions"],
+    response: object,
+  },
+  adminStatus: {
+    admin: true,
+    summary: "Scheduler jobs, latest fetches and cache contents",
+    tag: "Admin",
+    response: object,
+  },
+};
+
+// API keys as a header, a bearer token or a query parameter (any one)
+const SECURITY_SCHEMES = {
+  apiKeyHeader: { type: "apiKey", in: "header", name: "X-API-Key" },
+  bearer: { type: "http", scheme: "bearer" },
+  apiKeyQuery: { type: "apiKey", in: "query", name: "apiKey" },
+};
+const SECURITY = Object.keys(SECURITY_SCHEMES).map((name) => ({ [name]: [] }));
+
+/**
+ * OpenAPI paths for an Express route path. A trailing optional parameter
+ * (`:date?`) gives two paths; `*` becomes `{path}`.
+ */
+function toOpenApiPaths(routePath) {
+  const segments = routePath.split("/");
+  const names = [];
+  let optional = false;
+  const converted = segments.map((segment) => {
+    if (segment === "*") {
+      names.push("path");
+      return "{path}";
+    }
+    const match = /^:(\w+)(\(.*\))?(\?)?$/.exec(segment);
+    if (!match) return segment;
+    names.push(match[1]);
+    if (match[3]) optional = true;
+    return `{${match[1]}}`;
+  });
+  const full = { path: converted.join("/"), names };
+  if (!optional) return [full];
+  return [
+    { path: converted.slice(0, -1).join("/"), names: names.slice(0, -1) },
+    full,
+  ];
+}
+
+/**
+ * Enum values match case-insensitively, and '-' stands for '_'
+ */
+function sameToken(a, b) {
+  const normalize = (value) =>
+    String(value).trim().toLowerCase().replace(/-/g, "_");
+  return normalize(a) === normalize(b);
+}
+
+function listing(values) {
+  const items = values.map(String);
+  if (items.length < 2) return items.join("");
+  return `${items.slice(0, -1).join(", ")} or ${items[items.length - 1]}`;
+}
+
+function expectation(param, schema) {
+  if (schema.enum) return `Use ${listing(schema.enum)}.`;
+  if (schema.type === "integer" || schema.type === "number") {
+    const kind = schema.type === "integer" ? "an integer" : "a number";
+    if (schema.minimum !== undefined && schema.maximum !== undefined) {
+      return `Use ${kind} from ${schema.minimum} to ${schema.maximum}.`;
+    }
+    if (schema.minimum !== undefined) {
+      return `Use ${kind} of at least ${schema.minimum}.`;
+    }
+    return `Use ${kind}.`;
+  }
+  if (param.example !== undefined) return `Use e.g. ${param.example}.`;
+  return "";
+}
+
+function checkValue(param, schema, value) {
+  const text = String(value);
+  let valid = true;
+  if (schema.type === "integer" || schema.type === "number") {
+    const number = Number(text);
+    valid =
+      text.trim() !== "" &&
+      (schema.type === "integer"
+        ? Number.isInteger(number)
+        : Number.isFinite(number)) &&
+      (schema.minimum === undefined || number >= schema.minimum) &&
+      (schema.maximum === undefined || number <= schema.maximum);
+  } else if (schema.type === "boolean") {
+    valid = text === "true" || text === "false";
+  }
+  if (valid && schema.enum) {
+    valid = schema.enum.some((option) => sameToken(option, text));
+  }
+  if (valid && schema.pattern) {
+    valid = new RegExp(schema.pattern).test(text);
+  }
+  if (!valid) {
+    throw optionError(
+      `Invalid ${param.name}: ${text}. ${expectation(param, schema)}`.trim(),
+    );
+  }
+}
+
+/**
+ * Validate the path and query values of `req` against parameter
+ * definitions. Throws a 400 error naming the first invalid parameter.
+ */
+function validateParameters(parameters, req) {
+  for (const param of parameters) {
+    const source = param.in === "path" ? req.params : req.query;
+    const value = source ? source[param.name] : undefined;
+    if (value === undefined || value === "") {
+      if (param.required && param.in === "query") {
+        throw optionError(
+          `Missing ${param.name}. ${expectation(param, param.schema)}`.trim(),
+        );
+      }
+      continue;
+    }
+    if (param.schema.type === "array") {
+      const items = []
+        .concat(value)
+        .flatMap((item) => String(item).split(","))
+        .map((item) => item.trim())
+        .filter(Boolean);
+      for (const item of items) checkValue(param, param.schema.items, item);
+      continue;
+    }
+    if (typeof value !== "string") {
+      throw optionError(`Invalid ${param.name}: give a single value.`);
+    }
+    checkValue(param, param.schema, value);
+  }
+}
+
+function responseContent(types, schema) {
+  const content = {};
+  for (const type of types) {
+    content[type] =
+      type === "application/json" ? { schema } : { schema: { type: "string" } };
+  }
+  return content;
+}
+
+function responseSchema(response) {
+  if (typeof response === "string") {
+    return { $ref: `#/components/schemas/${response}` };
+  }
+  return response || {};
+}
+
+/**
+ * The OpenAPI document for recorded routes `[{ method, path, spec }]`, with
+ * specs shaped like ROUTE_SPECS. `apiKeys` adds the key security schemes.
+ */
+function buildOpenApiDocument(routes, options = {}) {
+  const {
+    parameters = apiParameters(),
+    apiKeys = false,
+    title,
+    version,
+    description,
+  } = options;
+  const paths = {};
+  const tags = [];
+
+  for (const { method, path, spec } of routes) {
+    if (spec.tag && !tags.includes(spec.tag)) tags.push(spec.tag);
+    for (const variant of toOpenApiPaths(path)) {
+      const refs = (spec.parameters || []).filter((name) => {
+        const param = parameters[name];
+        return param.in !== "path" || variant.names.includes(param.name);
+      });
+      const produces = spec.produces || ["application/json"];
+      const status = String(spec.status || 200);
+      const description = [
+        spec.description,
+        spec.admin && "Needs an API key with admin access.",
+      ]
+        .filter(Boolean)
+        .join(" ");
+      const operation = {
+        summary: spec.summary,
+        ...(description ? { description } : {}),
+        ...(spec.tag ? { tags: [spec.tag] } : {}),
+        parameters: refs.map((name) => ({
+          $ref: `#/components/parameters/${name}`,
+        })),
+        responses: {
+          [status]:
+            status === "204"
+              ? { description: "No Content" }
+              : {
+                  description: "OK",
+                  content: responseContent(
+                    produces,
+                    responseSchema(spec.response),
+                  ),
+                },
+          default: { $ref: "#/components/responses/Error" },
+        },
+      };
+      if (apiKeys && spec.public) operation.security = [];
+      if (!apiKeys && spec.admin) operation.security = SECURITY;
+      if (spec.requestBody) {
+        operation.requestBody = {
+          required: true,
+          content: { "application/json": { schema: spec.requestBody } },
+        };
+      }
+      paths[variant.path] = paths[variant.path] || {};
+      paths[variant.path][method] = operation;
+    }
+  }
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: title || "ElWiz Prices REST API",
+      version: version || "0.0.0",
+      ...(description ? { description } : {}),
+    },
+    tags: tags.map((name) => ({ name })),
+    ...(apiKeys ? { security: SECURITY } : {}),
+    paths,
+    components: {
+      parameters,
+      schemas: SCHEMAS,
+      ...(apiKeys || routes.some(({ spec }) => spec.admin)
+        ? { securitySchemes: SECURITY_SCHEMES }
+        : {}),
+      responses: {
+        Error: {
+          description: "Error",
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/Error" },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  OPENAPI_VERSION,
+  ROUTE_SPECS,
+  apiParameters,
+  toOpenApiPaths,
+  validateParameters,
+  buildOpenApiDocument,
+};
@@ -0,0 +1,210 @@
+/**
+ * ElWiz Prices - Battery Planner
+ *
+ * Plans when a home battery should charge, idle or discharge over the known
+ * price horizon. The state of charge is discretized and the plan that saves
+ * the most against leaving the battery idle is found by dynamic programming.
+ */
+
+const { roundPrice } = require("./priceSlots");
+
+const ACTIONS = ["charge", "idle", "discharge"];
+
+function numberOr(value, fallback) {
+  const number = Number(value);
+  return value === undefined || value === null || Number.isNaN(number)
+    ? fallback
+    : number;
+}
+
+class BatteryPlanner {
+  constructor(settings = {}) {
+    this.capacityKwh = numberOr(settings.capacityKwh, null);
+    this.chargePowerKw = numberOr(settings.chargePowerKw, null);
+    this.dischargePowerKw = numberOr(
+      settings.dischargePowerKw,
+      this.chargePowerKw,
+    );
+    this.roundTripEfficiency = numberOr(settings.roundTripEfficiency, 0.9);
+    this.minSocPercent = numberOr(settings.minSocPercent, 10);
+    this.maxSocPercent = numberOr(settings.maxSocPercent, 100);
+    this.socPercent = numberOr(settings.socPercent, this.minSocPercent);
+    this.cycleCost = numberOr(settings.cycleCost, 0); // Per kWh discharged
+    this.socLevels = Math.max(2, Math.round(numberOr(settings.socLevels, 100)));
+
+    if (!(this.capacityKwh > 0)) {
+      throw new Error("Battery planner needs a positive capacityKwh");
+    }
+    if (!(this.chargePowerKw > 0) || !(this.dischargePowerKw > 0)) {
+      throw new Error("Battery planner needs positive charge/discharge power");
+    }
+    if (!(this.roundTripEfficiency > 0 && this.roundTripEfficiency <= 1)) {
+      throw new Error("Battery roundTripEfficiency must be between 0 and 1");
+    }
+    if (
+      this.minSocPercent < 0 ||
+      this.maxSocPercent > 100 ||
+      this.minSocPercent >= this.maxSocPercent
+    ) {
+      throw new Error(
+        "Battery needs 0 <= minSocPercent < maxSocPercent <= 100",
+      );
+    }
+
+    // Losses are split evenly between charging and discharging
+    this.chargeEfficiency = Math.sqrt(this.roundTripEfficiency);
+    this.dischargeEfficiency = Math.sqrt(this.roundTripEfficiency);
+  }
+
+  /**
+   * Plan the slots (from toSlotSeries, starting with the current slot) for a
+   * battery at `socPercent`. Energy left at the end of the horizon is valued
+   * at the average horizon price, so the plan does not simply empty the
+   * battery before the prices run out. The current slot only counts from
+   * `now` (default: the present).
+   */
+  plan(slots, options = {}) {
+    const now = options.now || new Date();
+    const startSoc = Math.min(
+      this.maxSocPercent,
+      Math.max(
+        this.minSocPercent,
+        numberOr(options.socPercent, this.socPercent),
+      ),
+    );
+    const minKwh = (this.capacityKwh * this.minSocPercent) / 100;
+    const usableKwh =
+      (this.capacityKwh * (this.maxSocPercent - this.minSocPercent)) / 100;
+    const levels = this.socLevels;
+    const levelKwh = usableKwh / levels;
+    const startLevel = Math.round(
+      ((this.capacityKwh * startSoc) / 100 - minKwh) / levelKwh,
+    );
+
+    const priced = slots.filter((slot) => slot.price !== null);
+    const terminalPrice = priced.length
+      ? priced.reduce((sum, slot) => sum + slot.price, 0) / priced.length
+      : 0;
+    const terminalValue = (level) =>
+      level * levelKwh * this.dischargeEfficiency * terminalPrice;
+
+    // value[i][level]: best value (money saved) from slot i onwards
+    const n = slots.length;
+    const value = Array.from({ length: n + 1 }, () =>
+      new Float64Array(levels + 1).fill(-Infinity),
+    );
+    const choice = Array.from({ length: n }, () => new Int32Array(levels + 1));
+    for (let level = 0; level <= levels; level++) {
+      value[n][level] = terminalValue(level);
+    }
+
+    for (let i = n - 1; i >= 0; i--) {
+      const slot = slots[i];
+      const hours = Math.max(0, slot.end - Math.max(slot.start, now)) / 3600000;
+      // Reach in stored-energy levels for this slot
+      const chargeReach =
+        slot.price === null
+          ? 0
+          : Math.floor(
+              (this.chargePowerKw * hours * this.chargeEfficiency) / levelKwh +
+                1e-9,
+            );
+      const dischargeReach =
+        slot.price === null
+          ? 0
+          : Math.floor(
+              (this.dischargePowerKw * hours) /
+                this.dischargeEfficiency /
+                levelKwh +
+                1e-9,
+            );
+
+      for (let level = 0; level <= levels; level++) {
+        let best = value[i + 1][level];
+        let bestNext = level;
+        const up = Math.min(chargeReach, levels - level);
+        for (let step = 1; step <= up; step++) {
+          const gridKwh = (step * levelKwh) / this.chargeEfficiency;
+          const candidate = value[i + 1][level + step] - gridKwh * slot.price;
+          if (candidate > best + 1e-12) {
+            best = candidate;
+            bestNext = level + step;
+          }
+        }
+        const down = Math.min(dischargeReach, level);
+        for (let step = 1; step <= down; step++) {
+          const deliveredKwh = step * levelKwh * this.dischargeEfficiency;
+          const candidate =
+            value[i + 1][level - step] +
+            deliveredKwh * (slot.price - this.cycleCost);
+          if (candidate > best + 1e-12) {
+            best = candidate;
+            bestNext = level - step;
+          }
+        }
+        value[i][level] = best;
+        choice[i][level] = bestNext;
+      }
+    }
+
+    const toSoc = (level) =>
+      roundPrice(((minKwh + level * levelKwh) / this.capacityKwh) * 100, 1);
+    const schedule = {};
+    const plan = [];
+    let level = startLevel;
+    for (let i = 0; i < n; i++) {
+      const slot = slots[i];
+      const next = choice[i][level];
+      const storedKwh = (next - level) * levelKwh;
+      let action = ACTIONS[1];
+      let gridKwh = 0;
+      if (next > level) {
+        action = ACTIONS[0];
+        gridKwh = storedKwh / this.chargeEfficiency;
+      } else if (next < level) {
+        action = ACTIONS[2];
+        gridKwh = storedKwh * this.dischargeEfficiency; // Negative: delivered
+      }
+      plan.push({
+        date: slot.date,
+        index: slot.index,
+        startTime: slot.entry.startTime,
+        price: slot.price,
+        action,
+        energyKwh: roundPrice(gridKwh, 3),
+        socPercent: toSoc(next),
+      });
+      if (slot.date) {
+        schedule[slot.date] = schedule[slot.date] || [];
+        schedule[slot.date][slot.index] = action;
+      }
+      level = next;
+    }
+    // Slots outside the horizon (already passed) are idle
+    for (const day of Object.values(schedule)) {
+      for (let i = 0; i < day.length; i++) day[i] = day[i] || ACTIONS[1];
+    }
+
+    const saving = n > 0 ? value[0][startLevel] - terminalValue(startLevel) : 0;
+    return {
+      capacityKwh: this.capacityKwh,
+      startSocPercent: toSoc(startLevel),
+      endSocPercent: toSoc(level),
+      horizonStart: n ? slots[0].entry.startTime : null,
+      horizonEnd: n ? slots[n - 1].endTime : null,
+      expectedSaving: roundPrice(saving, 2),
+      chargeKwh: roundPrice(
+        plan.reduce((sum, s) => sum + Math.max(0, s.energyKwh), 0),
+        3,
+      ),
+      dischargeKwh: roundPrice(
+        plan.reduce((sum, s) => sum - Math.min(0, s.energyKwh), 0),
+        3,
+      ),
+      slots: plan,
+      schedule,
+    };
+  }
+}
+
+module.exports = BatteryPlanner;
@@ -0,0 +1,120 @@
+/**
+ * ElWiz Prices - Capacity Tariff
+ *
+ * Norwegian grid companies charge a monthly capacity step (effekttrinn) based
+ * on the average of the highest daily consumption peaks of the month. This
+ * module maps recorded daily peaks to the configured step table.
+ */
+
+const { roundPrice } = require("./priceSlots");
+
+class CapacityTariff {
+  constructor(settings = {}) {
+    this.peakCount = Number(settings.peakCount) || 3;
+    this.steps = (settings.steps || [])
+      .map((step, index) => {
+        const from = Number(step.from);
+        const price = Number(step.price);
+        if (Number.isNaN(from) || Number.isNaN(price)) {
+          throw new Error(
+            `Capacity tariff step ${index + 1} needs numeric 'from' and 'price'`,
+          );
+        }
+        return {
+          from,
+          to:
+            step.to === undefined || step.to === null ? null : Number(step.to),
+          price,
+          name: step.name || null,
+        };
+      })
+      .sort((a, b) => a.from - b.from);
+
+    if (!this.steps.length) {
+      throw new Error("Capacity tariff needs at least one step");
+    }
+  }
+
+  /**
+   * Step for an average peak (kW). Averages below the first step use it.
+   */
+  stepFor(average) {
+    let index = 0;
+    for (let i = 0; i < this.steps.length; i++) {
+      if (average >= this.steps[i].from) index = i;
+    }
+    return { index, ...this.steps[index] };
+  }
+
+  /**
+   * Average of the highest `peakCount` values (fewer early in the month)
+   */
+  averageOfTopPeaks(values) {
+    const top = [...values].sort((a, b) => b - a).slice(0, this.peakCount);
+    return top.length ? top.reduce((sum, v) => sum + v, 0) / top.length : 0;
+  }
+
+  /**
+   * Evaluate the month's daily peaks as of `today`.
+   *
+   * - current: completed days only (before `today`)
+   * - projected: completed days plus today's peak so far
+   * - marginalCost / headroomKw: what crossing into the next step costs per
+   *   month, and how much today's peak can still rise before it happens
+   */
+  evaluate(peaksByDate = {}, today) {
+    const month = today.slice(0, 7);
+    const entries = Object.entries(peaksByDate)
+      .filter(([date]) => date.startsWith(month) && date <= today)
+      .map(([date, peak]) => ({ date, peak: Number(peak) }))
+      .filter((entry) => Number.isFinite(entry.peak));
+
+    const completed = entries
+      .filter((entry) => entry.date < today)
+      .map((entry) => entry.peak);
+    const todayPeak = entries.find((entry) => entry.date === today)?.peak ?? 0;
+
+    const currentAverage = this.averageOfTopPeaks(completed);
+    const projectedAverage = this.averageOfTopPeaks([...completed, todayPeak]);
+    const currentStep = this.stepFor(currentAverage);
+    const projectedStep = this.stepFor(projectedAverage);
+    const nextStep = this.steps[projectedStep.index + 1]
+      ? {
+          index: projectedStep.index + 1,
+          ...this.steps[projectedStep.index + 1],
+        }
+      : null;
+
+    let marginalCost = null;
+    let headroomKw = null;
+    if (nextStep) {
+      marginalCost = roundPrice(nextStep.price - projectedStep.price, 2);
+      // Peak today that would lift the average to the next step's lower bound
+      const others = [...completed]
+        .sort((a, b) => b - a)
+        .slice(0, this.peakCount - 1);
+      const othersSum = others.reduce((sum, v) => sum + v, 0);
+      const neededPeak = nextStep.from * (others.length + 1) - othersSum;
+      headroomKw = roundPrice(Math.max(0, neededPeak - todayPeak), 3);
+    }
+
+    return {
+      month,
+      date: today,
+      peakCount: this.peakCount,
+      topPeaks: [...entries]
+        .sort((a, b) => b.peak - a.peak)
+        .slice(0, this.peakCount),
+      todayPeak,
+      currentAverage: roundPrice(currentAverage, 3),
+      currentStep,
+      projectedAverage: roundPrice(projectedAverage, 3),
+      projectedStep,
+      nextStep,
+      marginalCost,
+      headroomKw,
+    };
+  }
+}
+
+module.exports = CapacityTariff;
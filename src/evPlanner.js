@@ -0,0 +1,160 @@
+/**
+ * ElWiz Prices - EV Charging Planner
+ *
+ * Picks the cheapest slots that deliver the energy an electric vehicle needs
+ * before its departure time. Slots are charged at full charger power; the
+ * most expensive slot of the plan takes whatever remains. A slot that is
+ * already running only counts for the time it has left.
+ */
+
+const {
+  optionError,
+  roundPrice,
+  resolveTime,
+  slotsInRange,
+  slotMinutes,
+  selectCheapestSlots,
+} = require("./priceSlots");
+
+function numberOr(value, fallback) {
+  const number = Number(value);
+  return value === undefined || value === null || Number.isNaN(number)
+    ? fallback
+    : number;
+}
+
+class EvPlanner {
+  constructor(settings = {}) {
+    this.powerKw = numberOr(settings.powerKw, 11);
+    this.efficiency = numberOr(settings.efficiency, 0.9);
+    this.departure = settings.departure || "07:00";
+    this.maxPrice = numberOr(settings.maxPrice, null);
+    this.timeZone = settings.timeZone || null; // Clock of 'HH:mm' departures
+
+    if (!(this.efficiency > 0 && this.efficiency <= 1)) {
+      throw new Error("EV charging efficiency must be between 0 and 1");
+    }
+  }
+
+  /**
+   * Normalize and validate a charging request. Missing values fall back to
+   * the configured defaults.
+   */
+  normalizeRequest(request = {}, now = new Date()) {
+    const energyKwh = Number(request.energyKwh);
+    if (!Number.isFinite(energyKwh) || energyKwh <= 0) {
+      throw optionError(`Invalid energyKwh: ${request.energyKwh}`);
+    }
+    const powerKw = numberOr(request.powerKw, this.powerKw);
+    if (!(powerKw > 0)) {
+      throw optionError(`Invalid powerKw: ${request.powerKw}`);
+    }
+    const departureValue = request.departure || this.departure;
+    const departure = resolveTime(departureValue, now, this.timeZone);
+    if (!departure) {
+      throw optionError(`Invalid departure time: ${departureValue}`);
+    }
+    if (departure <= now) {
+      throw optionError("Departure time is in the past");
+    }
+    const maxPrice = numberOr(request.maxPrice, this.maxPrice);
+    return {
+      energyKwh,
+      powerKw,
+      departure: departure.toISOString(),
+      maxPrice,
+    };
+  }
+
+  /**
+   * Plan a normalized request over the slot series. The plan is provisional
+   * when the departure lies beyond the last known price or the plan relies on
+   * forecast prices; it should be redone once the real prices arrive.
+   */
+  plan(slots, request, now = new Date()) {
+    const departure = new Date(request.departure);
+    const available = slotsInRange(slots, now, departure);
+    const lastKnown = slots.length ? slots[slots.length - 1].end : null;
+    const provisional =
+      !lastKnown ||
+      departure > lastKnown ||
+      available.some((slot) => slot.forecast);
+
+    const hoursPerSlot = slotMinutes(available) / 60;
+    const slotKwh = request.powerKw * hoursPerSlot * this.efficiency;
+    // Energy a selected slot can deliver, from `now` on for the running slot
+    const series = new Map(
+      available.map((slot) => [`${slot.date}/${slot.index}`, slot]),
+    );
+    const capacityKwh = (selected) => {
+      const slot = series.get(`${selected.date}/${selected.index}`);
+      return slot
+        ? (request.powerKw *
+            (slot.end - Math.max(slot.start, now)) *
+            this.efficiency) /
+            3600000
+        : slotKwh;
+    };
+    const pickable = available.filter(
+      (slot) =>
+        slot.price !== null &&
+        (request.maxPrice === null || slot.price <= request.maxPrice),
+    ).length;
+    const needed = Math.ceil(request.energyKwh / slotKwh - 1e-9);
+    let count = Math.min(needed, pickable);
+
+    // Picking the running slot leaves the plan short, so take one more
+    let selection;
+    for (;;) {
+      selection = selectCheapestSlots(slots, {
+        count,
+        from: now,
+        to: departure,
+        maxPrice: request.maxPrice,
+      }) || { slots: [], runs: [], schedule: {} };
+      const capacity = selection.slots.reduce(
+        (sum, slot) => sum + capacityKwh(slot),
+        0,
+      );
+      if (capacity >= request.energyKwh - 1e-9 || count >= pickable) break;
+      count += 1;
+    }
+
+    // Full power in every slot except the most expensive one, which tops up
+    const delivery = new Map(); // slot -> kWh delivered to the car
+    let remainingKwh = request.energyKwh;
+    for (const slot of [...selection.slots].sort((a, b) => a.price - b.price)) {
+      const delivered = Math.min(capacityKwh(slot), remainingKwh);
+      delivery.set(slot, delivered);
+      remainingKwh -= delivered;
+    }
+    let deliveredKwh = 0;
+    let cost = 0;
+    const planned = selection.slots.map((slot) => {
+      const delivered = delivery.get(slot);
+      const gridKwh = delivered / this.efficiency;
+      deliveredKwh += delivered;
+      cost += gridKwh * slot.price;
+      return { ...slot, energyKwh: roundPrice(gridKwh, 3) };
+    });
+    const gridKwh = deliveredKwh / this.efficiency;
+
+    return {
+      ...request,
+      provisional,
+      complete: deliveredKwh >= request.energyKwh - 1e-9,
+      shortfallKwh: roundPrice(
+        Math.max(0, request.energyKwh - deliveredKwh),
+        3,
+      ),
+      startTime: planned.length ? planned[0].startTime : null,
+      estimatedCost: roundPrice(cost, 2),
+      avgPrice: gridKwh ? roundPrice(cost / gridKwh) : null,
+      runs: selection.runs,
+      slots: planned,
+      schedule: selection.schedule,
+    };
+  }
+}
+
+module.exports = EvPlanner;
@@ -0,0 +1,48 @@
+/**
+ * ElWiz Prices - LRU Cache
+ *
+ * A small in-memory least-recently-used cache. A Map keeps insertion order,
+ * so re-inserting on every hit leaves the least recently used key first.
+ */
+
+class LruCache {
+  constructor(maxEntries = 64) {
+    this.maxEntries = Math.max(0, Math.floor(Number(maxEntries) || 0));
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    if (!this.maxEntries) return;
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = LruCache;
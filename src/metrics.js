@@ -0,0 +1,222 @@
+/**
+ * ElWiz Prices - Metrics
+ *
+ * A small metrics registry rendering the Prometheus text exposition format
+ * (version 0.0.4): counters, gauges and histograms with labels. Collectors
+ * registered with addCollector() run before every render, for values that
+ * are read at scrape time rather than recorded as they happen.
+ */
+
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function escapeHelp(text) {
+  return String(text).replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return "NaN";
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`,
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> { labels, value }
+  }
+
+  /**
+   * Labels in declaration order; unknown names are rejected
+   */
+  _labels(labels = {}) {
+    for (const name of Object.keys(labels)) {
+      if (!this.labelNames.includes(name)) {
+        throw new Error(`Unknown label ${name} for metric ${this.name}`);
+      }
+    }
+    const ordered = {};
+    for (const name of this.labelNames) {
+      ordered[name] = labels[name] === undefined ? "" : String(labels[name]);
+    }
+    return ordered;
+  }
+
+  _entry(labels, initial) {
+    const ordered = this._labels(labels);
+    const key = JSON.stringify(ordered);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: ordered, value: initial() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Drop all label sets, e.g. before a collector sets current values
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${escapeHelp(this.help)}`,
+      `# TYPE ${this.name} ${this.type}`,
+    ];
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) throw new Error("Counters can only increase");
+    this._entry(labels, () => 0).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super("gauge", name, help, labelNames);
+  }
+
+  set(labels = {}, value) {
+    this._entry(labels, () => 0).value = Number(value);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this._entry(labels, () => 0).value += amount;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    if (labelNames.includes("le")) {
+      throw new Error("Histograms cannot use the label name le");
+    }
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const entry = this._entry(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    const data = entry.value;
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) data.counts[i] += 1;
+    });
+    data.sum += value;
+    data.count += 1;
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${escapeHelp(this.help)}`,
+      `# TYPE ${this.name} histogram`,
+    ];
+    for (const { labels, value } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        const bucketLabels = formatLabels({
+          ...labels,
+          le: formatValue(bound),
+        });
+        lines.push(`${this.name}_bucket${bucketLabels} ${value.counts[i]}`);
+      });
+      const infLabels = formatLabels({ ...labels, le: "+Inf" });
+      lines.push(`${this.name}_bucket${infLabels} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map(); // name -> Metric
+    this.collectors = [];
+  }
+
+  _register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this._register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this._register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Run `collector` (may be async) before every render
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * All metrics in the text exposition format. A failing collector is
+   * logged and leaves its metrics as they were.
+   */
+  async render() {
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch (error) {
+        console.error("Metrics collector failed:", error.message);
+      }
+    }
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+MetricsRegistry.CONTENT_TYPE = CONTENT_TYPE;
+MetricsRegistry.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+
+module.exports = MetricsRegistry;
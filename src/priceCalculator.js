@@ -0,0 +1,180 @@
+/**
+ * ElWiz Prices - Price Calculator
+ *
+ * Turns fetched spot prices into consumer prices by adding supplier markup,
+ * grid fees, energy tax and VAT. Runs as a stage after PriceFetcher.fetchPrices.
+ */
+
+const { roundPrice, summarizePrices, toSlotSeries } = require("./priceSlots");
+const TariffSchedule = require("./tariffSchedule");
+const {
+  addDays,
+  getDefaultTimeZone,
+  zonedTimeToDate,
+} = require("../utils/timezone");
+
+const DEFAULT_VAT_PERCENT = 25;
+
+function numberOr(value, fallback) {
+  const number = Number(value);
+  return value === undefined || value === null || Number.isNaN(number)
+    ? fallback
+    : number;
+}
+
+class PriceCalculator {
+  constructor(config = {}) {
+    const settings = config.priceCalculation || {};
+
+    // A grid tariff schedule on its own also enables the stage
+    this.enabled =
+      Boolean(config.priceCalculation || config.gridTariff) &&
+      settings.enabled !== false;
+    this.vatPercent = numberOr(settings.vatPercent, DEFAULT_VAT_PERCENT);
+    this.regionVatPercent = settings.regionVatPercent || {};
+    this.supplierKwhPrice = numberOr(settings.supplierKwhPrice, 0);
+    this.supplierMonthPrice = numberOr(settings.supplierMonthPrice, 0);
+    this.gridKwhPrice = numberOr(settings.gridKwhPrice, 0);
+    this.gridMonthPrice = numberOr(settings.gridMonthPrice, 0);
+    this.energyTax = numberOr(settings.energyTax, 0);
+    this.decimals = numberOr(settings.decimals, 4);
+    this.timeZone = config.timezone || null; // Market clock for slot hours
+    this.tariffSchedule = config.gridTariff
+      ? new TariffSchedule({ timeZone: this.timeZone, ...config.gridTariff })
+      : null;
+
+    this.dayHoursStart = numberOr(config.dayHoursStart, 6);
+    this.dayHoursEnd = numberOr(config.dayHoursEnd, 22);
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * VAT percentage for a region, honouring per-region overrides (e.g. NO4: 0)
+   */
+  getVatPercent(region) {
+    if (region && this.regionVatPercent[region] !== undefined) {
+      return numberOr(this.regionVatPercent[region], this.vatPercent);
+    }
+    return this.vatPercent;
+  }
+
+  /**
+   * Grid energy rate (ex VAT) for a slot. A tariff schedule takes precedence
+   * over the flat `gridKwhPrice`.
+   */
+  getGridEnergyRate(entry) {
+    const rate = this.tariffSchedule
+      ? this.tariffSchedule.resolve(entry)
+      : null;
+    if (rate) return rate;
+    return { name: null, price: this.gridKwhPrice };
+  }
+
+  /**
+   * Return a copy of the price object with consumer prices on every slot and
+   * the daily summary extended to match. All derived prices include VAT.
+   */
+  apply(priceData, region = null) {
+    if (!this.enabled || !priceData || !Array.isArray(priceData.hourly)) {
+      return priceData;
+    }
+
+    const vatPercent = this.getVatPercent(region);
+    const vatFactor = 1 + vatPercent / 100;
+    // Monthly fees do not depend on consumption, so they are kept out of the
+    // per-kWh prices. Each slot instead carries its share of the month's fees
+    // in currency, in proportion to its length.
+    const monthFees = this.supplierMonthPrice + this.gridMonthPrice;
+    const hoursInMonth = monthFees ? this.hoursInMonth(priceData.priceDate) : 0;
+    const feePerHour = hoursInMonth
+      ? (monthFees * vatFactor) / hoursInMonth
+      : 0;
+    const slotHours = new Map(); // index in hourly[] -> slot length in hours
+    if (feePerHour) {
+      for (const slot of toSlotSeries([priceData])) {
+        slotHours.set(slot.index, (slot.end - slot.start) / 3600000);
+      }
+    }
+    let dailyFeeShare = 0;
+
+    const hourly = priceData.hourly.map((entry, index) => {
+      const spotPrice = Number(entry.spotPrice);
+      const gridEnergyRate = this.getGridEnergyRate(entry);
+      const supplierPrice = this.supplierKwhPrice * vatFactor;
+      const gridPrice = (gridEnergyRate.price + this.energyTax) * vatFactor;
+      const totalPrice = Number.isFinite(spotPrice)
+        ? spotPrice * vatFactor + supplierPrice + gridPrice
+        : null;
+      const feeShare = feePerHour * (slotHours.get(index) || 0);
+      dailyFeeShare += feeShare;
+
+      return {
+        ...entry,
+        ...(this.tariffSchedule
+          ? {
+              gridTariff: gridEnergyRate.name,
+              gridEnergyPrice: roundPrice(
+                gridEnergyRate.price * vatFactor,
+                this.decimals,
+              ),
+            }
+          : {}),
+        gridPrice: roundPrice(gridPrice, this.decimals),
+        supplierPrice: roundPrice(supplierPrice, this.decimals),
+        totalPrice: roundPrice(totalPrice, this.decimals),
+        ...(feePerHour
+          ? { fixedFeeShare: roundPrice(feeShare, this.decimals) }
+          : {}),
+      };
+    });
+
+    const summaryOptions = {
+      dayHoursStart: this.dayHoursStart,
+      dayHoursEnd: this.dayHoursEnd,
+      decimals: this.decimals,
+      timeZone: this.timeZone,
+    };
+    const total = summarizePrices(hourly, "totalPrice", summaryOptions);
+    const grid = summarizePrices(hourly, "gridPrice", summaryOptions);
+    const supplier = summarizePrices(hourly, "supplierPrice", summaryOptions);
+
+    return {
+      ...priceData,
+      hourly,
+      daily: {
+        ...(priceData.daily || {}),
+        vatPercent,
+        minTotalPrice: total.min,
+        maxTotalPrice: total.max,
+        avgTotalPrice: total.avg,
+        peakTotalPrice: total.peak,
+        offPeakTotalPrice: total.offPeak,
+        avgGridPrice: grid.avg,
+        avgSupplierPrice: supplier.avg,
+        ...(feePerHour
+          ? { fixedFeeShare: roundPrice(dailyFeeShare, this.decimals) }
+          : {}),
+      },
+    };
+  }
+
+  /**
+   * Hours in the month of `priceDate`, counted from market midnight to market
+   * midnight so DST months get 743 or 745 hours
+   */
+  hoursInMonth(priceDate) {
+    const match = /^(\d{4})-(\d{2})/.exec(priceDate || "");
+    if (!match) return 0;
+    const timeZone = this.timeZone || getDefaultTimeZone();
+    const firstDay = `${match[1]}-${match[2]}-01`;
+    const nextMonth = `${addDays(firstDay, 31).slice(0, 8)}01`;
+    const start = zonedTimeToDate(firstDay, "00:00", timeZone);
+    const end = zonedTimeToDate(nextMonth, "00:00", timeZone);
+    return (end - start) / 3600000;
+  }
+}
+
+module.exports = PriceCalculator;
@@ -0,0 +1,198 @@
+/**
+ * ElWiz Prices - Price Calendar
+ *
+ * iCalendar (RFC 5545) feed with the cheapest and most expensive window of
+ * every day. Event UIDs depend only on the day, the kind of window, its
+ * length and the region, so calendar clients replace an event when the
+ * prices of its day are revised instead of adding a second one.
+ */
+
+const {
+  findPriceWindow,
+  optionError,
+  parseDuration,
+  roundPrice,
+  toSlotSeries,
+} = require("./priceSlots");
+
+const WINDOW_TYPES = ["cheap", "expensive"];
+const MAX_PAST_DAYS = 366;
+
+function readNumber(value, name) {
+  if (value === undefined || value === "") return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw optionError(`Invalid ${name}: ${value}`);
+  return number;
+}
+
+/**
+ * Validate calendar query options:
+ * `{ duration, type, cheapBelow, expensiveAbove, field, days }`
+ */
+function parseCalendarOptions(query = {}) {
+  const duration = query.duration || "2h";
+  const durationMinutes = parseDuration(duration);
+  if (!durationMinutes) {
+    throw optionError("Invalid duration. Use e.g. 3h, 90m or 1h30m.");
+  }
+
+  let types = WINDOW_TYPES;
+  if (query.type !== undefined && query.type !== "") {
+    types = []
+      .concat(query.type)
+      .flatMap((value) => String(value).split(","))
+      .map((value) => value.trim().toLowerCase())
+      .filter(Boolean);
+    const invalid = types.find((type) => !WINDOW_TYPES.includes(type));
+    if (invalid) {
+      throw optionError(
+        `Invalid type: ${invalid}. Use ${WINDOW_TYPES.join(", ")}.`,
+      );
+    }
+  }
+
+  const days =
+    query.days === undefined || query.days === "" ? 7 : Number(query.days);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_PAST_DAYS) {
+    throw optionError(`Invalid days: ${query.days}. Use 0-${MAX_PAST_DAYS}.`);
+  }
+
+  return {
+    durationMinutes,
+    types,
+    cheapBelow: readNumber(query.cheapBelow, "cheapBelow"),
+    expensiveAbove: readNumber(query.expensiveAbove, "expensiveAbove"),
+    field: query.field || null,
+    days,
+  };
+}
+
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `${hours ? `${hours}h` : ""}${rest ? `${rest}m` : ""}`;
+}
+
+function icsTime(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line to at most 75 octets per line
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length ? 74 : 75; // continuation lines start with a space
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * Cheapest or most expensive window of one day, or null when the day has
+ * no complete window or the window misses the threshold
+ */
+function dayWindow(day, type, options) {
+  const slots = toSlotSeries([day], options.field);
+  const window = findPriceWindow(slots, {
+    duration: `${options.durationMinutes}m`,
+    highest: type === "expensive",
+  });
+  if (!window) return null;
+  if (
+    type === "cheap" &&
+    options.cheapBelow !== null &&
+    !(window.avgPrice < options.cheapBelow)
+  ) {
+    return null;
+  }
+  if (
+    type === "expensive" &&
+    options.expensiveAbove !== null &&
+    !(window.avgPrice > options.expensiveAbove)
+  ) {
+    return null;
+  }
+  const prices = slots
+    .map((slot) => slot.price)
+    .filter((price) => price !== null);
+  const dayAverage = prices.length
+    ? prices.reduce((sum, price) => sum + price, 0) / prices.length
+    : null;
+  return { ...window, dayAverage: roundPrice(dayAverage) };
+}
+
+/**
+ * The iCalendar text for a list of price objects. `options` are the parsed
+ * calendar options plus `region` and `now` (the DTSTAMP).
+ */
+function buildCalendar(days, options = {}) {
+  const { region = null, now = new Date() } = options;
+  const length = formatDuration(options.durationMinutes);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//ElWiz//elwiz-prices//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(`Electricity prices${region ? ` ${region}` : ""}`)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+  ];
+
+  for (const day of days) {
+    if (!day || !day.priceDate || !Array.isArray(day.hourly)) continue;
+    for (const type of options.types || WINDOW_TYPES) {
+      const window = dayWindow(day, type, options);
+      if (!window) continue;
+      const label = type === "cheap" ? "Cheapest" : "Most expensive";
+      const uid = [type, `${options.durationMinutes}m`, day.priceDate, region]
+        .filter(Boolean)
+        .join("-");
+      const description = `Average price: ${window.avgPrice}\nDay average: ${window.dayAverage}`;
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${uid}@elwiz-prices`,
+        `DTSTAMP:${icsTime(now)}`,
+        `DTSTART:${icsTime(new Date(window.start))}`,
+        `DTEND:${icsTime(new Date(window.end))}`,
+        `SUMMARY:${escapeText(`${label} ${length} (avg ${window.avgPrice})`)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `CATEGORIES:${type === "cheap" ? "CHEAP" : "EXPENSIVE"}`,
+        "TRANSP:TRANSPARENT",
+        "END:VEVENT",
+      );
+    }
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  WINDOW_TYPES,
+  parseCalendarOptions,
+  buildCalendar,
+};
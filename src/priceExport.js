@@ -0,0 +1,128 @@
+/**
+ * ElWiz Prices - Price Export
+ *
+ * Slot rows (as produced by priceRange) rendered as CSV or NDJSON for
+ * spreadsheets and other tools, shared by the REST API and the CLI.
+ */
+
+const { optionError } = require("./priceSlots");
+const { formatInTimeZone, isValidTimeZone } = require("../utils/timezone");
+
+const EXPORT_FORMATS = ["csv", "ndjson"];
+const LEADING_COLUMNS = ["date", "startTime", "endTime", "spotPrice"];
+const TIME_COLUMNS = ["startTime", "endTime"];
+
+function isScalar(value) {
+  return (
+    value === null || ["number", "string", "boolean"].includes(typeof value)
+  );
+}
+
+/**
+ * Validate export settings: `{ decimalSeparator, delimiter, timezone }`.
+ * The delimiter defaults to ';' when the decimal separator is a comma.
+ */
+function parseExportOptions(settings = {}) {
+  const decimalSeparator = settings.decimalSeparator || ".";
+  if (![".", ","].includes(decimalSeparator)) {
+    throw optionError(
+      `Invalid decimal separator: ${decimalSeparator}. Use . or ,`,
+    );
+  }
+  const delimiter =
+    settings.delimiter || (decimalSeparator === "," ? ";" : ",");
+  if (delimiter === decimalSeparator || !/^[,;\t|]$/.test(delimiter)) {
+    throw optionError(`Invalid delimiter: ${JSON.stringify(delimiter)}`);
+  }
+  const timezone = settings.timezone || null;
+  if (timezone && !isValidTimeZone(timezone)) {
+    throw optionError(`Unknown time zone: ${timezone}`);
+  }
+  return { decimalSeparator, delimiter, timezone };
+}
+
+/**
+ * Columns for a set of rows: date, start, end and spot price first, then
+ * the other scalar fields (derived prices, level, ...) in first-seen order
+ */
+function exportColumns(rows) {
+  if (!rows.length) return [...LEADING_COLUMNS];
+  const seen = new Set();
+  for (const row of rows) {
+    for (const [name, value] of Object.entries(row)) {
+      if (isScalar(value)) seen.add(name);
+    }
+  }
+  const leading = LEADING_COLUMNS.filter((name) => seen.has(name));
+  return [...leading, ...[...seen].filter((name) => !leading.includes(name))];
+}
+
+function localizeTimes(row, timezone) {
+  if (!timezone) return row;
+  const result = { ...row };
+  for (const name of TIME_COLUMNS) {
+    const date = row[name] ? new Date(row[name]) : null;
+    if (date && !Number.isNaN(date.getTime())) {
+      result[name] = formatInTimeZone(date, timezone);
+    }
+  }
+  return result;
+}
+
+function csvCell(value, options) {
+  if (value === null || value === undefined) return "";
+  let text =
+    typeof value === "number"
+      ? String(value).replace(".", options.decimalSeparator)
+      : String(value);
+  if (text.includes(options.delimiter) || /["\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * CSV with a header row, one row per slot
+ */
+function toCsv(rows, settings = {}) {
+  const options = parseExportOptions(settings);
+  const columns = settings.columns || exportColumns(rows);
+  const lines = [columns.map((name) => csvCell(name, options))];
+  for (const row of rows) {
+    const localized = localizeTimes(row, options.timezone);
+    lines.push(columns.map((name) => csvCell(localized[name], options)));
+  }
+  return (
+    lines.map((cells) => cells.join(options.delimiter)).join("\r\n") + "\r\n"
+  );
+}
+
+/**
+ * One JSON object per line
+ */
+function toNdjson(rows, settings = {}) {
+  const { timezone } = parseExportOptions(settings);
+  return rows
+    .map((row) => `${JSON.stringify(localizeTimes(row, timezone))}\n`)
+    .join("");
+}
+
+/**
+ * Render rows in one of EXPORT_FORMATS
+ */
+function formatRows(rows, format = "csv", settings = {}) {
+  if (format === "csv") return toCsv(rows, settings);
+  if (format === "ndjson") return toNdjson(rows, settings);
+  throw optionError(
+    `Invalid format: ${format}. Use ${EXPORT_FORMATS.join(" or ")}.`,
+  );
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportOptions,
+  exportColumns,
+  toCsv,
+  toNdjson,
+  formatRows,
+};
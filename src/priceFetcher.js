@@ -1,6 +1,10 @@
-const { format } = require("date-fns");
 const { fetchDayAheadPrices } = require("energy-price-fetcher");
 const ConfigLoader = require("../utils/configLoader");
+const {
+  addDays,
+  dateInTimeZone,
+  getDefaultTimeZone,
+} = require("../utils/timezone");
 
 class PriceFetcher {
   constructor(config = {}, configLoader = null, services = {}) {
@@ -10,6 +14,7 @@ class PriceFetcher {
     this.region = config.regionCode || "NO1";
     this.priceCurrency = config.priceCurrency || "NOK";
     this.priceInterval = config.priceInterval || "1h";
+    this.timezone = config.timezone || getDefaultTimeZone();
     this.dayHoursStart =
       config.dayHoursStart !== undefined ? Number(config.dayHoursStart) : 6;
     this.dayHoursEnd =
@@ -28,37 +33,71 @@ class PriceFetcher {
       services && typeof services.getCurrencyRate === "function"
         ? services.getCurrencyRate
         : null;
+    // Called with (provider, error, { date, region }) after every fetch;
+    // error is null on success
+    this.fetchRecorder =
+      services && typeof services.recordFetch === "function"
+        ? services.recordFetch
+        : null;
+  }
+
+  async fetchPrices(dayOffset = 0, preferSource = null, region = null) {
+    return this.fetchPricesForDate(
+      this.dateWithOffset(dayOffset),
+      preferSource,
+      region,
+    );
+  }
+
+  /**
+   * Fetch the prices of a calendar date (YYYY-MM-DD)
+   */
+  async fetchPricesForDate(isoDate, preferSource = null, region = null) {
+    const provider = preferSource || this.preferredSource;
+    try {
+      const prices = await fetchDayAheadPrices({
+        region: region || this.region,
+        currency: this.priceCurrency,
+        date: isoDate,
+        interval: this.priceInterval,
+        prefer: provider,
+        entsoeToken: this.entsoeToken,
+        getCurrencyRate: this.currencyRateProvider,
+        baseUrls: this.baseUrls,
+        dayHoursStart: this.dayHoursStart,
+        dayHoursEnd: this.dayHoursEnd,
+      });
+      this._recordFetch(provider, null, isoDate, region);
+      return prices;
+    } catch (error) {
+      this._recordFetch(provider, error, isoDate, region);
+      throw error;
+    }
   }
 
-  async fetchPrices(dayOffset = 0, preferSource = null) {
-    const isoDate = this.dateWithOffset(dayOffset);
-    return fetchDayAheadPrices({
-      region: this.region,
-      currency: this.priceCurrency,
-      date: isoDate,
-      interval: this.priceInterval,
-      prefer: preferSource || this.preferredSource,
-      entsoeToken: this.entsoeToken,
-      getCurrencyRate: this.currencyRateProvider,
-      baseUrls: this.baseUrls,
-      dayHoursStart: this.dayHoursStart,
-      dayHoursEnd: this.dayHoursEnd,
-    });
+  _recordFetch(provider, error, date, region) {
+    if (!this.fetchRecorder) return;
+    try {
+      this.fetchRecorder(provider, error, {
+        date,
+        region: region || this.region,
+      });
+    } catch (recordError) {
+      console.error("Error recording price fetch:", recordError.message);
+    }
   }
 
-  async fetchNordPoolPrices(dayOffset = 0) {
-    return this.fetchPrices(dayOffset, "nordpool");
+  async fetchNordPoolPrices(dayOffset = 0, region = null) {
+    return this.fetchPrices(dayOffset, "nordpool", region);
   }
 
-  async fetchEntsoePrices(dayOffset = 0) {
-    return this.fetchPrices(dayOffset, "entsoe");
+  async fetchEntsoePrices(dayOffset = 0, region = null) {
+    return this.fetchPrices(dayOffset, "entsoe", region);
   }
 
+  // Today in the market time zone, shifted by `offset` days
   dateWithOffset(offset) {
-    const oneDay = 24 * 60 * 60 * 1000;
-    const now = new Date();
-    const target = new Date(now.getTime() + oneDay * offset);
-    return format(target, "yyyy-MM-dd");
+    return addDays(dateInTimeZone(new Date(), this.timezone), offset);
   }
 }
 
@@ -0,0 +1,285 @@
+/**
+ * ElWiz Prices - Price Forecaster
+ *
+ * Builds a provisional price curve for a day whose auction result is not yet
+ * published, using only cached history:
+ *
+ * - level: recent daily averages (exponentially weighted) plus a damped trend
+ * - same-weekday profile: how the target weekday deviates from the average
+ *   day, and an intraday shape that weights same-weekday days higher
+ * - seasonality: when last year's statistics are available, the change in
+ *   price level between the history window and the target date a year ago
+ *
+ * The result has the layout of a real price object, marked `forecast: true`,
+ * with a confidence band on every slot.
+ */
+
+const {
+  getSlotHour,
+  roundPrice,
+  slotMinutes,
+  summarizePrices,
+  toSlotSeries,
+} = require("./priceSlots");
+const {
+  formatInTimeZone,
+  getDefaultTimeZone,
+  zonedTimeToDate,
+} = require("../utils/timezone");
+
+// Two-sided standard normal quantiles for the supported confidence levels
+const Z_SCORES = { 0.5: 0.6745, 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96 };
+
+function numberOr(value, fallback) {
+  const number = Number(value);
+  return value === undefined || value === null || Number.isNaN(number)
+    ? fallback
+    : number;
+}
+
+function toUtcDate(dateStr) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function dayDiff(fromDate, toDate) {
+  return Math.round((toUtcDate(toDate) - toUtcDate(fromDate)) / 86400000);
+}
+
+function addDays(dateStr, days) {
+  const date = toUtcDate(dateStr);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function mean(values) {
+  return values.length
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+}
+
+/**
+ * Intraday bucket of a slot ('HH:MM'), on the clock of `timeZone` when given,
+ * with the whole hour as fallback
+ */
+function slotBucket(entry, timeZone = null) {
+  if (timeZone) {
+    const date = new Date(entry?.startTime);
+    if (!Number.isNaN(date.getTime())) {
+      return formatInTimeZone(date, timeZone).slice(11, 16);
+    }
+  }
+  const match = /T(\d{2}):(\d{2})/.exec(entry?.startTime || "");
+  if (match) return `${match[1]}:${match[2]}`;
+  const hour = getSlotHour(entry);
+  return hour === null ? null : `${String(hour).padStart(2, "0")}:00`;
+}
+
+class PriceForecaster {
+  constructor(settings = {}) {
+    this.historyDays = Math.max(2, numberOr(settings.historyDays, 14));
+    this.minDays = Math.max(1, numberOr(settings.minDays, 3));
+    this.halfLifeDays = numberOr(settings.halfLifeDays, 3);
+    this.trendDays = Math.max(2, numberOr(settings.trendDays, 7));
+    this.trendDamping = numberOr(settings.trendDamping, 0.5);
+    this.weekdayWeight = numberOr(settings.weekdayWeight, 2);
+    this.seasonalWeight = numberOr(settings.seasonalWeight, 0.5);
+    this.confidence = numberOr(settings.confidence, 0.8);
+    this.decimals = numberOr(settings.decimals, 4);
+    this.dayHoursStart = numberOr(settings.dayHoursStart, 6);
+    this.dayHoursEnd = numberOr(settings.dayHoursEnd, 22);
+    this.timeZone = settings.timeZone || null; // Market clock for buckets
+
+    if (!Z_SCORES[this.confidence]) {
+      throw new Error(
+        `Unsupported forecast confidence ${this.confidence}. Use ${Object.keys(Z_SCORES).join(", ")}.`,
+      );
+    }
+  }
+
+  /**
+   * Forecast `targetDate` from earlier price objects. `seasonal` optionally
+   * holds `{ windowAvg, targetAvg }`: last year's average over the history
+   * window and around the target date. Returns null with too little history.
+   */
+  forecast(targetDate, history = [], seasonal = null) {
+    const days = history
+      .filter(
+        (day) =>
+          day &&
+          day.priceDate < targetDate &&
+          !day.forecast &&
+          Array.isArray(day.hourly),
+      )
+      .map((day) => {
+        const slots = day.hourly
+          .map((entry) => ({
+            bucket: slotBucket(entry, this.timeZone),
+            price: Number(entry.spotPrice),
+          }))
+          .filter(
+            (slot) => slot.bucket !== null && Number.isFinite(slot.price),
+          );
+        return { day, slots, mean: mean(slots.map((slot) => slot.price)) };
+      })
+      .filter((item) => item.slots.length)
+      .sort((a, b) => (a.day.priceDate < b.day.priceDate ? -1 : 1))
+      .slice(-this.historyDays);
+
+    if (days.length < this.minDays) return null;
+
+    const lastDate = days[days.length - 1].day.priceDate;
+    const horizon = dayDiff(lastDate, targetDate);
+    const targetWeekday = toUtcDate(targetDate).getUTCDay();
+    const isSameWeekday = (item) =>
+      toUtcDate(item.day.priceDate).getUTCDay() === targetWeekday;
+
+    // Level: exponentially weighted daily averages plus a damped trend
+    let weightSum = 0;
+    let levelSum = 0;
+    for (const item of days) {
+      const age = dayDiff(item.day.priceDate, lastDate);
+      const weight = Math.pow(0.5, age / this.halfLifeDays);
+      weightSum += weight;
+      levelSum += weight * item.mean;
+    }
+    let level = levelSum / weightSum;
+
+    const recent = days.slice(-this.trendDays);
+    let slope = 0;
+    if (recent.length >= 2) {
+      const xs = recent.map((item) => dayDiff(lastDate, item.day.priceDate));
+      const xMean = mean(xs);
+      const yMean = mean(recent.map((item) => item.mean));
+      let numerator = 0;
+      let denominator = 0;
+      recent.forEach((item, i) => {
+        numerator += (xs[i] - xMean) * (item.mean - yMean);
+        denominator += (xs[i] - xMean) ** 2;
+      });
+      slope = denominator ? numerator / denominator : 0;
+    }
+    level += slope * horizon * this.trendDamping;
+
+    // Same-weekday offset against the average day
+    const allMean = mean(days.map((item) => item.mean));
+    const sameWeekday = days.filter(isSameWeekday);
+    const weekdayOffset = sameWeekday.length
+      ? mean(sameWeekday.map((item) => item.mean)) - allMean
+      : 0;
+    level += weekdayOffset;
+
+    // Seasonality from last year's statistics
+    let seasonalOffset = 0;
+    if (
+      seasonal &&
+      Number.isFinite(seasonal.windowAvg) &&
+      Number.isFinite(seasonal.targetAvg)
+    ) {
+      seasonalOffset =
+        (seasonal.targetAvg - seasonal.windowAvg) * this.seasonalWeight;
+      level += seasonalOffset;
+    }
+
+    // Intraday shape: deviation from the day average per bucket
+    const shapes = new Map(); // bucket -> { sum, weight, sumSq }
+    for (const item of days) {
+      const weight = isSameWeekday(item) ? this.weekdayWeight : 1;
+      for (const slot of item.slots) {
+        const deviation = slot.price - item.mean;
+        const shape = shapes.get(slot.bucket) || {
+          sum: 0,
+          sumSq: 0,
+          weight: 0,
+        };
+        shape.sum += weight * deviation;
+        shape.sumSq += weight * deviation * deviation;
+        shape.weight += weight;
+        shapes.set(slot.bucket, shape);
+      }
+    }
+    const shapeFor = (bucket) =>
+      shapes.get(bucket) || shapes.get(`${bucket.slice(0, 2)}:00`) || null;
+
+    // Uncertainty: spread of the shape per bucket plus day-to-day level moves
+    const levelChanges = [];
+    for (let i = 1; i < days.length; i++) {
+      levelChanges.push(days[i].mean - days[i - 1].mean);
+    }
+    const levelSigma = levelChanges.length
+      ? Math.sqrt(mean(levelChanges.map((change) => change * change)))
+      : Math.abs(allMean) * 0.25;
+    const z = Z_SCORES[this.confidence];
+
+    // Slot grid over the target market day, which can have 23 or 25 hours,
+    // with the slot length of the latest day
+    const timeZone = this.timeZone || getDefaultTimeZone();
+    const slotMs =
+      slotMinutes(toSlotSeries([days[days.length - 1].day])) * 60000;
+    const dayEnd = zonedTimeToDate(addDays(targetDate, 1), "00:00", timeZone);
+    const grid = [];
+    for (
+      let start = zonedTimeToDate(targetDate, "00:00", timeZone).getTime();
+      start < dayEnd.getTime();
+      start += slotMs
+    ) {
+      grid.push({
+        startTime: formatInTimeZone(new Date(start), timeZone),
+        endTime: formatInTimeZone(new Date(start + slotMs), timeZone),
+      });
+    }
+
+    const hourly = grid.map((slot) => {
+      const bucket = slotBucket(slot, this.timeZone);
+      const shape = bucket ? shapeFor(bucket) : null;
+      const shapeMean = shape ? shape.sum / shape.weight : 0;
+      const shapeVariance = shape
+        ? Math.max(0, shape.sumSq / shape.weight - shapeMean * shapeMean)
+        : 0;
+      const spotPrice = level + shapeMean;
+      const band =
+        z * Math.sqrt(shapeVariance + levelSigma * levelSigma * horizon);
+      return {
+        ...slot,
+        spotPrice: roundPrice(spotPrice, this.decimals),
+        spotPriceLow: roundPrice(spotPrice - band, this.decimals),
+        spotPriceHigh: roundPrice(spotPrice + band, this.decimals),
+      };
+    });
+
+    const summary = summarizePrices(hourly, "spotPrice", {
+      dayHoursStart: this.dayHoursStart,
+      dayHoursEnd: this.dayHoursEnd,
+      decimals: this.decimals,
+      timeZone: this.timeZone,
+    });
+
+    return {
+      priceDate: targetDate,
+      forecast: true,
+      method: seasonalOffset
+        ? "weekday-profile+trend+seasonal"
+        : "weekday-profile+trend",
+      generatedAt: new Date().toISOString(),
+      confidence: this.confidence,
+      basedOn: {
+        days: days.length,
+        from: days[0].day.priceDate,
+        to: lastDate,
+      },
+      hourly,
+      daily: {
+        minPrice: summary.min,
+        maxPrice: summary.max,
+        avgPrice: summary.avg,
+        peakPrice: summary.peak,
+        offPeakPrice: summary.offPeak,
+        trend: roundPrice(slope, this.decimals),
+        weekdayOffset: roundPrice(weekdayOffset, this.decimals),
+        seasonalOffset: roundPrice(seasonalOffset, this.decimals),
+      },
+    };
+  }
+}
+
+module.exports = PriceForecaster;
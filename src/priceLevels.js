@@ -0,0 +1,170 @@
+/**
+ * ElWiz Prices - Price Levels
+ *
+ * Classifies every slot as VERY_CHEAP, CHEAP, NORMAL, EXPENSIVE or
+ * VERY_EXPENSIVE against a reference: the day's own average, a trailing
+ * average over earlier cached days, or fixed price thresholds.
+ */
+
+const { getSlotPrice, roundPrice } = require("./priceSlots");
+
+const LEVELS = ["VERY_CHEAP", "CHEAP", "NORMAL", "EXPENSIVE", "VERY_EXPENSIVE"];
+const REFERENCES = ["dayAverage", "trailingAverage", "fixed"];
+const THRESHOLD_NAMES = ["veryCheap", "cheap", "expensive", "veryExpensive"];
+
+// Percent of the reference average where each level starts
+const DEFAULT_PERCENT_THRESHOLDS = {
+  veryCheap: 60,
+  cheap: 90,
+  expensive: 115,
+  veryExpensive: 140,
+};
+
+function numberOr(value, fallback) {
+  const number = Number(value);
+  return value === undefined || value === null || Number.isNaN(number)
+    ? fallback
+    : number;
+}
+
+function average(values) {
+  return values.length
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+}
+
+/**
+ * Normalize a level name from a query ('very-cheap', 'cheap') to its
+ * constant, or null when unknown
+ */
+function normalizeLevel(value) {
+  const level = String(value || "")
+    .trim()
+    .toUpperCase()
+    .replace(/-/g, "_");
+  return LEVELS.includes(level) ? level : null;
+}
+
+class PriceLevels {
+  constructor(config = {}) {
+    const settings = config.priceLevels || {};
+
+    this.enabled = settings.enabled !== false;
+    this.reference = settings.reference || "dayAverage";
+    if (!REFERENCES.includes(this.reference)) {
+      throw new Error(
+        `Invalid price level reference '${this.reference}'. Use ${REFERENCES.join(", ")}.`,
+      );
+    }
+    this.days = Math.max(1, Math.round(Number(settings.days) || 7));
+    this.field = settings.field || null;
+    this.decimals = numberOr(config.priceCalculation?.decimals, 4);
+
+    const thresholds = settings.thresholds || {};
+    if (this.reference === "fixed") {
+      for (const name of THRESHOLD_NAMES) {
+        if (!Number.isFinite(Number(thresholds[name]))) {
+          throw new Error(
+            `Fixed price levels need a numeric '${name}' threshold`,
+          );
+        }
+      }
+    }
+    this.thresholds = {};
+    for (const name of THRESHOLD_NAMES) {
+      this.thresholds[name] = Number(
+        thresholds[name] ?? DEFAULT_PERCENT_THRESHOLDS[name],
+      );
+    }
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  needsHistory() {
+    return this.enabled && this.reference === "trailingAverage";
+  }
+
+  /**
+   * Price bounds where each level starts. Percent thresholds are applied to
+   * the distance from zero so negative averages still order correctly.
+   */
+  boundsFor(referencePrice) {
+    if (this.reference === "fixed") return { ...this.thresholds };
+    const bounds = {};
+    for (const name of THRESHOLD_NAMES) {
+      bounds[name] =
+        referencePrice +
+        Math.abs(referencePrice) * (this.thresholds[name] / 100 - 1);
+    }
+    return bounds;
+  }
+
+  classify(price, bounds) {
+    if (price === null || !Number.isFinite(price)) return null;
+    if (price < bounds.veryCheap) return "VERY_CHEAP";
+    if (price < bounds.cheap) return "CHEAP";
+    if (price >= bounds.veryExpensive) return "VERY_EXPENSIVE";
+    if (price >= bounds.expensive) return "EXPENSIVE";
+    return "NORMAL";
+  }
+
+  /**
+   * Return a copy of the price object with a `level` on every slot and the
+   * level counts and reference in the daily summary. `history` holds the
+   * earlier price objects used by the trailing average.
+   */
+  apply(priceData, history = []) {
+    if (!this.enabled || !priceData || !Array.isArray(priceData.hourly)) {
+      return priceData;
+    }
+
+    const prices = (entries) =>
+      entries
+        .map((entry) => getSlotPrice(entry, this.field))
+        .filter((value) => value !== null);
+
+    let reference = this.reference;
+    let referencePrice = null;
+    if (reference === "trailingAverage") {
+      const earlier = history.flatMap((day) => prices(day?.hourly || []));
+      referencePrice = average(earlier);
+      // Without cached history the day itself is the best reference
+      if (referencePrice === null) reference = "dayAverage";
+    }
+    if (reference === "dayAverage") {
+      referencePrice = average(prices(priceData.hourly));
+    }
+
+    const bounds = this.boundsFor(referencePrice ?? 0);
+    const levelCounts = Object.fromEntries(LEVELS.map((level) => [level, 0]));
+    const hourly = priceData.hourly.map((entry) => {
+      const level = this.classify(getSlotPrice(entry, this.field), bounds);
+      if (level) levelCounts[level] += 1;
+      return { ...entry, level };
+    });
+
+    return {
+      ...priceData,
+      hourly,
+      daily: {
+        ...(priceData.daily || {}),
+        levelCounts,
+        levelReference: {
+          type: reference,
+          ...(reference === "trailingAverage" ? { days: history.length } : {}),
+          price:
+            reference === "fixed"
+              ? null
+              : roundPrice(referencePrice, this.decimals),
+        },
+      },
+    };
+  }
+}
+
+PriceLevels.LEVELS = LEVELS;
+PriceLevels.normalizeLevel = normalizeLevel;
+
+module.exports = PriceLevels;
@@ -20,13 +20,99 @@ const PriceFetcher = require("./priceFetcher");
 const PriceService = require("./priceService");
 const RestServer = require("./restServer");
 const CurrencyFetcher = require("./currencyFetcher");
+const PriceCalculator = require("./priceCalculator");
+const SubsidyCalculator = require("./subsidyCalculator");
+const CapacityTariff = require("./capacityTariff");
+const PriceLevels = require("./priceLevels");
+const BatteryPlanner = require("./batteryPlanner");
+const EvPlanner = require("./evPlanner");
+const PriceForecaster = require("./priceForecaster");
+const MetricsRegistry = require("./metrics");
+const LruCache = require("./lruCache");
+const { contentHash, stampPriceData } = require("./priceVersion");
+const { slotsInRange } = require("./priceSlots");
+const { queryPriceRange } = require("./priceRange");
+const {
+  addDays,
+  dateInTimeZone,
+  getDefaultTimeZone,
+  isValidTimeZone,
+} = require("../utils/timezone");
+const {
+  PERIODS: STATS_PERIODS,
+  DEFAULT_FIELDS: DEFAULT_STATS_FIELDS,
+  periodKey,
+  previousPeriodKey,
+  isValidPeriodKey,
+  accumulateDay,
+  summarizeRollup,
+} = require("./priceStats");
 const ConfigLoader = require("../utils/configLoader");
 const MQTTClient = require("../utils/mqttClient");
 
 const PRICE_KEY_PREFIX = "prices-";
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 const DEFAULT_PRICE_PATH = "./data/prices";
 const CURRENCY_KEY_PREFIX = "currencies-";
 const DEFAULT_CURRENCY_PATH = "./data/currencies";
+const ARCHIVE_INDEX_KEY = "archive-index";
+const DEFAULT_STATS_PATH = "./data/stats";
+const FORECAST_KEY_PREFIX = "forecast-";
+const DEFAULT_FORECAST_PATH = "./data/forecasts";
+const CAPACITY_KEY_PREFIX = "capacity-";
+const DEFAULT_CAPACITY_PATH = "./data/capacity";
+const DEFAULT_CAPACITY_KEEP_MONTHS = 13;
+const DEFAULT_CAPACITY_PEAK_TOPIC = "elwiz/capacity/peaks";
+const DEFAULT_EV_COMMAND_TOPIC = "elwiz/ev/plan/set";
+const FETCH_HISTORY_SIZE = 20;
+
+// Errors caused by caller input carry a 400 status for the REST API
+function inputError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// YYYY-MM-DD naming a real day (not 2025-02-30)
+function isCalendarDate(dateStr) {
+  if (!DATE_PATTERN.test(dateStr || "")) return false;
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return (
+    !Number.isNaN(date.getTime()) && date.toISOString().startsWith(dateStr)
+  );
+}
+
+const TIMEOUT_CODES = ["ETIMEDOUT", "ECONNABORTED", "ESOCKETTIMEDOUT"];
+const NETWORK_CODES = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+];
+
+/**
+ * Short reason for a failed price fetch, kept to a few values for metrics
+ */
+function fetchFailureReason(error) {
+  const message = error?.message || "";
+  const status =
+    error?.response?.status ||
+    error?.status ||
+    Number(/\bHTTP (\d{3})\b/i.exec(message)?.[1]) ||
+    null;
+  if (status) return status >= 500 ? "http_5xx" : "http_4xx";
+  const code = error?.code || "";
+  if (TIMEOUT_CODES.includes(code) || /timed? ?out/i.test(message)) {
+    return "timeout";
+  }
+  if (NETWORK_CODES.includes(code)) return "network";
+  if (/not (yet )?(ready|available|published)|no price data/i.test(message)) {
+    return "not_published";
+  }
+  return "other";
+}
 
 class PriceManager {
   constructor(config = {}, configPath = null, providedConfigLoader = null) {
@@ -70,11 +156,82 @@ class PriceManager {
     this.restPort = this.config.restPort || 3000;
     this.priceTopic = this.config.priceTopic || "elwiz/prices";
 
+    // Bidding zones handled by this manager. A `regions` list switches cache keys,
+    // MQTT topics and REST routes to a region-keyed layout; a single `regionCode`
+    // keeps the original unkeyed layout.
+    const configuredRegions = Array.isArray(this.config.regions)
+      ? this.config.regions
+          .map((region) => String(region).trim().toUpperCase())
+          .filter(Boolean)
+      : [];
+    this.regionKeyed = configuredRegions.length > 0;
+    this.regions = this.regionKeyed
+      ? [...new Set(configuredRegions)]
+      : [this.config.regionCode || "NO1"];
+    this.defaultRegion = this.regions[0];
+
+    // Market time zone for day boundaries, scheduling and relative dates
+    // in the REST API (default: the server's)
+    this.timezone = this.config.timezone || getDefaultTimeZone();
+    if (!isValidTimeZone(this.timezone)) {
+      throw new Error(`Unknown time zone: ${this.timezone}`);
+    }
+
+    // Prometheus metrics, served by the REST API at /metrics
+    this.metrics =
+      this.config.metrics?.enabled === false ? null : this.createMetrics();
+
     // Initialize components
     this.priceFetcher = new PriceFetcher(this.config, this.configLoader, {
       getCurrencyRate: (currencyCode) => this.getCurrencyRate(currencyCode),
+      recordFetch: (provider, error, details) =>
+        this.recordFetch(provider, error, details),
+    });
+    this.priceCalculator = new PriceCalculator(this.config);
+    this.subsidyCalculator = new SubsidyCalculator(this.config, {
+      getVatPercent: (region) => this.priceCalculator.getVatPercent(region),
+    });
+    this.priceLevels = new PriceLevels(this.config);
+    this.capacityTariff = this.config.capacityTariff
+      ? new CapacityTariff(this.config.capacityTariff)
+      : null;
+    this.capacityPeakTopic =
+      this.config.capacityTariff?.peakTopic || DEFAULT_CAPACITY_PEAK_TOPIC;
+    this.batteryPlanner = this.config.battery
+      ? new BatteryPlanner(this.config.battery)
+      : null;
+    this.batteryRegion = String(
+      this.config.battery?.region || this.defaultRegion,
+    ).toUpperCase();
+    this.batterySoc = null; // Latest state of charge reported over MQTT
+    this.batteryPlan = null;
+    // The EV planner is always available over REST; the MQTT command topic
+    // is only subscribed when an `evCharging` block is configured
+    this.evPlanner = new EvPlanner({
+      timeZone: this.timezone,
+      ...this.config.evCharging,
     });
+    this.evRegion = String(
+      this.config.evCharging?.region || this.defaultRegion,
+    ).toUpperCase();
+    this.evCommandTopic = this.config.evCharging
+      ? this.config.evCharging.commandTopic || DEFAULT_EV_COMMAND_TOPIC
+      : null;
+    this.evRequest = null; // Active charging request, departure as ISO time
+    this.evPlan = null;
+    const forecastSettings = this.config.forecast;
+    this.priceForecaster =
+      forecastSettings && forecastSettings.enabled !== false
+        ? new PriceForecaster({
+            decimals: this.priceCalculator.decimals,
+            dayHoursStart: this.config.dayHoursStart,
+            dayHoursEnd: this.config.dayHoursEnd,
+            timeZone: this.config.timezone,
+            ...forecastSettings,
+          })
+        : null;
     this.priceService = null;
+    this.priceServices = new Map(); // region -> PriceService
     this.mqttClient = null;
     this.restServer = null;
     this.eventEmitter = new EventEmitter(); // Create event emitter for the manager
@@ -125,6 +282,13 @@ class PriceManager {
           })
         : Promise.resolve();
 
+    // Recently served days for the REST API, in front of the cache backend
+    this.priceLru = new LruCache(this.config.httpCache?.lruEntries ?? 64);
+    // For the admin status: latest fetches (newest first) and scheduled jobs
+    this.fetchHistory = [];
+    this.jobs = new Map(); // id -> { id, schedule, runs, lastRunAt, ... }
+    this.startedAt = null;
+
     const currencyPath =
       currencyBackendConfig.savePath ||
       this.config.currencyFilePath ||
@@ -151,6 +315,101 @@ class PriceManager {
           })
         : Promise.resolve();
 
+    // Long-range statistics live in their own namespace so they outlive the
+    // raw days removed by cleanupOldCache
+    const statsSettings = this.config.stats || {};
+    const statsBackendConfig = this.config.statsBackend || {};
+    this.statsEnabled = statsSettings.enabled !== false;
+    this.statsFields = statsSettings.fields || DEFAULT_STATS_FIELDS;
+    this.statsCache = null;
+    this.statsCacheReady = Promise.resolve();
+    if (this.statsEnabled) {
+      this.statsCache = new UniCache("stats", {
+        cacheType,
+        savePath:
+          statsBackendConfig.savePath ||
+          this.config.statsFilePath ||
+          this.config.savePath ||
+          DEFAULT_STATS_PATH,
+        syncOnWrite:
+          this.config.statsSyncOnWrite ?? this.config.syncOnWrite ?? true,
+        debug: this.config.debug,
+        ...(statsBackendConfig.options || {}),
+      });
+      this.statsCacheReady =
+        typeof this.statsCache.init === "function"
+          ? this.statsCache.init().catch((error) => {
+              console.error("Failed to initialise stats cache:", error.message);
+              throw error;
+            })
+          : Promise.resolve();
+    }
+
+    // Forecasts are kept apart from real prices so they can never be mistaken
+    // for published data
+    const forecastBackendConfig = this.config.forecastBackend || {};
+    this.forecastCache = null;
+    this.forecastCacheReady = Promise.resolve();
+    if (this.priceForecaster) {
+      this.forecastCache = new UniCache("forecasts", {
+        cacheType,
+        savePath:
+          forecastBackendConfig.savePath ||
+          this.config.forecastFilePath ||
+          this.config.savePath ||
+          DEFAULT_FORECAST_PATH,
+        syncOnWrite:
+          this.config.forecastSyncOnWrite ?? this.config.syncOnWrite ?? true,
+        debug: this.config.debug,
+        ...(forecastBackendConfig.options || {}),
+      });
+      this.forecastCacheReady =
+        typeof this.forecastCache.init === "function"
+          ? this.forecastCache.init().catch((error) => {
+              console.error(
+                "Failed to initialise forecast cache:",
+                error.message,
+              );
+              throw error;
+            })
+          : Promise.resolve();
+    }
+
+    // Capacity peaks are kept by month, apart from the price days, and
+    // pruned after `capacityTariff.keepMonths`
+    const capacityBackendConfig = this.config.capacityBackend || {};
+    this.capacityCache = null;
+    this.capacityCacheReady = Promise.resolve();
+    this.capacityKeepMonths = Math.max(
+      1,
+      Number(this.config.capacityTariff?.keepMonths) ||
+        DEFAULT_CAPACITY_KEEP_MONTHS,
+    );
+    if (this.capacityTariff) {
+      this.capacityCache = new UniCache("capacity", {
+        cacheType,
+        savePath:
+          capacityBackendConfig.savePath ||
+          this.config.capacityFilePath ||
+          this.config.savePath ||
+          DEFAULT_CAPACITY_PATH,
+        syncOnWrite:
+          this.config.capacitySyncOnWrite ?? this.config.syncOnWrite ?? true,
+        debug: this.config.debug,
+        ...(capacityBackendConfig.options || {}),
+      });
+      this.capacityCacheReady =
+        typeof this.capacityCache.init === "function"
+          ? this.capacityCache.init().catch((error) => {
+              console.error(
+                "Failed to initialise capacity cache:",
+                error.message,
+              );
+              throw error;
+            })
+          : Promise.resolve();
+    }
+
     this.currencyFetcher = new CurrencyFetcher(this.config);
     this.currencyRateCache = new Map();
     this.currencyKeepDays =
@@ -176,34 +435,92 @@ class PriceManager {
       console.log("MQTT client connected");
     }
 
-    // Initialize price service with MQTT client and event emitter if enabled
-    if (this.enableMqtt) {
-      this.priceService = new PriceService(
-        this.mqttClient,
-        this.config,
-        console,
-        this.eventEmitter,
-      );
-    } else {
-      // Create a minimal price service without MQTT for internal use
-      this.priceService = new PriceService(
-        null,
-        this.config,
-        console,
-        this.eventEmitter,
-      );
-    }
+    // Initialize price services with MQTT client and event emitter if enabled
+    this.createPriceServices();
 
     // Initialize REST server if enabled, ensuring priceService is available
     if (this.enableRest) {
-      this.restServer = new RestServer(this.restPort);
-      // Set the price service after it's been initialized
-      this.restServer.setPriceService(this.priceService);
+      this.restServer = this.createRestServer();
       // Set the cache access methods
       this.restServer.setCacheAccess(this.getCacheAccess());
     }
   }
 
+  /**
+   * Create one PriceService per region, all sharing the manager's event emitter
+   */
+  createPriceServices() {
+    this.priceServices.clear();
+    for (const region of this.regions) {
+      const serviceConfig = this.regionKeyed
+        ? {
+            ...this.config,
+            timezone: this.timezone,
+            regionCode: region,
+            priceTopic: this.getPriceTopic(region),
+          }
+        : { ...this.config, timezone: this.timezone };
+      // Without MQTT, create a minimal price service for internal use
+      const service = new PriceService(
+        this.enableMqtt ? this.mqttClient : null,
+        serviceConfig,
+        console,
+        this.eventEmitter,
+      );
+      this.priceServices.set(region, service);
+    }
+    this.priceService = this.priceServices.get(this.defaultRegion);
+  }
+
+  /**
+   * Create the REST server and hand it the price service of every region
+   */
+  createRestServer() {
+    const restServer = new RestServer(this.restPort, null, null, {
+      regions: this.regionKeyed ? this.regions : [],
+      timezone: this.timezone,
+      publicationTime: this.getPublicationTime(),
+      heartbeatSeconds: this.config.stream?.heartbeatSeconds,
+      httpCache: this.config.httpCache,
+      apiKeys: this.config.apiKeys,
+      rateLimit: this.config.rateLimit,
+      cors: this.config.cors,
+      trustProxy: this.config.restTrustProxy,
+      dashboard: this.config.enableDashboard,
+    });
+    this.attachPriceServices(restServer);
+    return restServer;
+  }
+
+  /**
+   * Earliest scheduled next-day fetch ('HH:mm'), when tomorrow's prices are
+   * first expected
+   */
+  getPublicationTime() {
+    const hours =
+      Array.isArray(this.config.scheduleHours) &&
+      this.config.scheduleHours.length
+        ? this.config.scheduleHours.map(Number)
+        : [this.config.nextDayFetchHour ?? 13];
+    const minutes =
+      Array.isArray(this.config.scheduleMinutes) &&
+      this.config.scheduleMinutes.length
+        ? this.config.scheduleMinutes.map(Number)
+        : [this.config.nextDayFetchMinute ?? 0];
+    const hour = String(Math.min(...hours)).padStart(2, "0");
+    const minute = String(Math.min(...minutes)).padStart(2, "0");
+    return `${hour}:${minute}`;
+  }
+
+  attachPriceServices(restServer) {
+    restServer.setPriceService(this.priceService);
+    if (this.regionKeyed) {
+      for (const [region, service] of this.priceServices) {
+        restServer.setPriceService(service, region);
+      }
+    }
+  }
+
   // Synchronous initialization (non-async operations only)
   initializeSync() {
     // For now, this is empty since all initialization in original initialize() was async
@@ -224,29 +541,12 @@ class PriceManager {
         console.log("MQTT client connected");
       }
 
-      // Initialize price service with MQTT client and event emitter if enabled
-      if (this.enableMqtt) {
-        this.priceService = new PriceService(
-          this.mqttClient,
-          this.config,
-          console,
-          this.eventEmitter,
-        );
-      } else {
-        // Create a minimal price service without MQTT for internal use
-        this.priceService = new PriceService(
-          null,
-          this.config,
-          console,
-          this.eventEmitter,
-        );
-      }
+      // Initialize price services with MQTT client and event emitter if enabled
+      this.createPriceServices();
 
       // Initialize REST server if enabled, ensuring priceService is available
       if (this.enableRest) {
-        this.restServer = new RestServer(this.restPort);
-        // Set the price service after it's been initialized
-        this.restServer.setPriceService(this.priceService);
+        this.restServer = this.createRestServer();
       }
 
       this.initialized = true;
@@ -256,14 +556,23 @@ class PriceManager {
   async start() {
     // Ensure async initialization is complete before starting
     await this.ensureInitialized();
+    this.startedAt = new Date();
 
-    // Set the price service in the REST server if both exist (before starting)
+    // Set the price services in the REST server if both exist (before starting)
     if (this.restServer && this.priceService) {
-      this.restServer.setPriceService(this.priceService);
+      this.attachPriceServices(this.restServer);
     }
-    // Set the cache access methods as well
+    // Set the cache and capacity access methods as well
     if (this.restServer) {
       this.restServer.setCacheAccess(this.getCacheAccess());
+      this.restServer.setCapacityAccess(this.getCapacityAccess());
+      this.restServer.setBatteryAccess(this.getBatteryAccess());
+      this.restServer.setEvAccess(this.getEvAccess());
+      this.restServer.setStatsAccess(this.getStatsAccess());
+      this.restServer.setForecastAccess(this.getForecastAccess());
+      this.restServer.setMetricsAccess(this.getMetricsAccess());
+      this.restServer.setEventSource(this.eventEmitter);
+      this.restServer.setAdminAccess(this.getAdminAccess());
     }
 
     // Start REST server if enabled
@@ -281,6 +590,9 @@ class PriceManager {
     }
 
     await this.ensureCurrencyRates();
+    await this.startCapacityTariff();
+    this.startBatteryPlanner();
+    this.startEvPlanner();
   }
 
   async stop() {
@@ -304,38 +616,44 @@ class PriceManager {
       await this.currencyCacheReady;
       await this.currencyCache.close();
     }
+
+    if (this.statsCache && typeof this.statsCache.close === "function") {
+      await this.statsCacheReady;
+      await this.statsCache.close();
+    }
+
+    if (this.forecastCache && typeof this.forecastCache.close === "function") {
+      await this.forecastCacheReady;
+      await this.forecastCache.close();
+    }
+
+    if (this.capacityCache && typeof this.capacityCache.close === "function") {
+      await this.capacityCacheReady;
+      await this.capacityCache.close();
+    }
   }
 
   /**
-   * Fetch prices from APIs and cache them to file if not already cached, but don't publish to MQTT
+   * Fetch prices from APIs and cache them to file if not already cached, but don't publish to MQTT.
+   * `dayOffset` is counted from today, or a YYYY-MM-DD date.
+   * `force` fetches again and replaces a cached day.
    */
-  async fetchPricesOnly(dayOffset = 0, preferSource = "nordpool") {
+  async fetchPricesOnly(
+    dayOffset = 0,
+    preferSource = "nordpool",
+    region = this.defaultRegion,
+    { force = false } = {},
+  ) {
     try {
-      await this.ensureCacheReady();
-      await this.ensureCurrencyRates();
-      // First check if data already exists in cache
-      const dateStr = this.getDateForOffset(dayOffset); // Get the date string for the offset
-
-      const exists = await this.priceDataExists(dateStr);
-      if (exists) {
-        // Data already exists, return it from cache instead of fetching
-        return await this.priceCache.retrieveObject(this.getPriceKey(dateStr));
-      }
-
-      // Data doesn't exist, fetch it
-      const prices = await this.priceFetcher.fetchPrices(
-        dayOffset,
+      // Get the date string for the offset
+      return await this.fetchPricesForDate(
+        typeof dayOffset === "string"
+          ? dayOffset
+          : this.getDateForOffset(dayOffset),
         preferSource,
+        region,
+        { force },
       );
-
-      // Store in file cache
-      await this.priceCache.createObject(
-        this.getPriceKey(dateStr),
-        prices,
-        true,
-      );
-
-      return prices;
     } catch (error) {
       console.error("Error in fetchPricesOnly:", error.message);
       throw error;
@@ -343,31 +661,159 @@ class PriceManager {
   }
 
   /**
-   * Get date string for a given day offset
+   * Return the cached prices of a date, or fetch, enrich and cache them.
+   * With `force` the date is fetched even when cached; the cached day is
+   * only replaced once the fetch has succeeded.
+   */
+  async fetchPricesForDate(
+    dateStr,
+    preferSource = "nordpool",
+    region = this.defaultRegion,
+    { force = false } = {},
+  ) {
+    if (!DATE_PATTERN.test(dateStr || "")) {
+      throw inputError(`Invalid date: ${dateStr}`);
+    }
+    await this.ensureCacheReady();
+    await this.ensureCurrencyRates();
+
+    // First check if data already exists in cache
+    const exists = !force && (await this.priceDataExists(dateStr, region));
+    if (exists) {
+      // Data already exists, return it from cache instead of fetching
+      const cached = await this.priceCache.retrieveObject(
+        this.getPriceKey(dateStr, region),
+      );
+      await this.ensurePriceStats(cached, region);
+      return cached;
+    }
+
+    // Data doesn't exist, fetch it and add the derived price fields
+    const fetched = await this.priceFetcher.fetchPricesForDate(
+      dateStr,
+      preferSource,
+      region,
+    );
+    const prices = stampPriceData(await this.enrichPrices(fetched, region));
+
+    // Store in file cache
+    const key = this.getPriceKey(dateStr, region);
+    await this.priceCache.createObject(key, prices, true);
+    this.priceLru.delete(key);
+    await this.recordPriceStats(prices, region);
+    await this.discardForecast(dateStr, region);
+
+    return prices;
+  }
+
+  /**
+   * Run the price-calculation stages on freshly fetched prices
+   */
+  async enrichPrices(prices, region = this.defaultRegion) {
+    let enriched = this.priceCalculator.apply(prices, region);
+    if (enriched && this.subsidyCalculator.appliesTo(region)) {
+      const monthHistory = await this.getMonthHistory(
+        enriched.priceDate,
+        region,
+      );
+      enriched = this.subsidyCalculator.apply(enriched, region, monthHistory);
+      const basis = enriched.daily?.monthToDate;
+      if (basis?.expectedDays && basis.days < basis.expectedDays) {
+        console.warn(
+          `[PriceManager] Month-to-date subsidy for ${region} ${enriched.priceDate} is based on ${basis.days} of ${basis.expectedDays} days`,
+        );
+      }
+    }
+    if (enriched && this.priceLevels.isEnabled()) {
+      const history = this.priceLevels.needsHistory()
+        ? await this.getTrailingHistory(
+            enriched.priceDate,
+            this.priceLevels.days,
+            region,
+          )
+        : [];
+      enriched = this.priceLevels.apply(enriched, history);
+    }
+    return enriched;
+  }
+
+  /**
+   * Cached price objects from the same month, before the given date
+   */
+  async getMonthHistory(dateStr, region = this.defaultRegion) {
+    if (!DATE_PATTERN.test(dateStr || "")) return [];
+    return this.getHistoryBetween(`${dateStr.slice(0, 7)}-01`, dateStr, region);
+  }
+
+  /**
+   * Cached price objects from the `days` days before the given date
+   */
+  async getTrailingHistory(dateStr, days, region = this.defaultRegion) {
+    if (!DATE_PATTERN.test(dateStr || "")) return [];
+    const start = new Date(`${dateStr}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - days);
+    return this.getHistoryBetween(
+      start.toISOString().slice(0, 10),
+      dateStr,
+      region,
+    );
+  }
+
+  /**
+   * Cached price objects from `fromDate` up to (not including) `toDate`
+   */
+  async getHistoryBetween(fromDate, toDate, region = this.defaultRegion) {
+    const dates = (await this.getAllCachedDates(region))
+      .filter((date) => date >= fromDate && date < toDate)
+      .sort();
+    const history = [];
+    for (const date of dates) {
+      const data = await this.getPriceDataByDate(date, region);
+      if (data) history.push(data);
+    }
+    return history;
+  }
+
+  /**
+   * Cached slots between `from` and `to` as one flat series, see
+   * priceRange.queryPriceRange for the options and the result
+   */
+  async getPriceRange(query = {}, region = this.defaultRegion, settings = {}) {
+    return queryPriceRange(
+      query,
+      (date) => this.getPriceDataByDate(date, region),
+      {
+        decimals: this.priceCalculator.decimals,
+        timeZone: this.timezone,
+        ...settings,
+      },
+    );
+  }
+
+  /**
+   * Get date string for a given day offset, counted from today in the
+   * market time zone
    */
   getDateForOffset(dayOffset) {
-    const date = new Date();
-    date.setDate(date.getDate() + dayOffset);
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, "0");
-    const day = String(date.getDate()).padStart(2, "0");
-    return `${year}-${month}-${day}`;
+    return addDays(dateInTimeZone(new Date(), this.timezone), dayOffset);
   }
 
   /**
    * Get price data from file cache by date
    */
-  async getPriceDataByDate(dateStr) {
+  async getPriceDataByDate(dateStr, region = this.defaultRegion) {
     await this.ensureCacheReady();
-    return await this.priceCache.retrieveObject(this.getPriceKey(dateStr));
+    return await this.priceCache.retrieveObject(
+      this.getPriceKey(dateStr, region),
+    );
   }
 
   /**
    * Check if price data exists for a date
    */
-  async priceDataExists(dateStr) {
+  async priceDataExists(dateStr, region = this.defaultRegion) {
     await this.ensureCacheReady();
-    const key = this.getPriceKey(dateStr);
+    const key = this.getPriceKey(dateStr, region);
     if (
       this.priceCache.backend &&
       typeof this.priceCache.backend.has === "function"
@@ -385,21 +831,23 @@ class PriceManager {
   }
 
   /**
-   * Get all cached price dates
+   * Get all cached price dates for a region
    */
-  async getAllCachedDates() {
+  async getAllCachedDates(region = this.defaultRegion) {
     await this.ensureCacheReady();
     const keys = await this.listPriceKeys();
+    const prefix = this.getPriceKeyPrefix(region);
     return keys
-      .filter((key) => key.startsWith(PRICE_KEY_PREFIX))
-      .map((key) => key.slice(PRICE_KEY_PREFIX.length));
+      .filter((key) => key.startsWith(prefix))
+      .map((key) => key.slice(prefix.length))
+      .filter((dateStr) => DATE_PATTERN.test(dateStr));
   }
 
   /**
-   * Get latest N cached dates
+   * Get latest N cached dates for a region
    */
-  async getLatestDates(count = 2) {
-    const allDates = await this.getAllCachedDates();
+  async getLatestDates(count = 2, region = this.defaultRegion) {
+    const allDates = await this.getAllCachedDates(region);
     // Sort dates in descending order (newest first)
     allDates.sort((a, b) => {
       // Compare date strings properly
@@ -415,38 +863,200 @@ class PriceManager {
     const keepDays = this.config.keepDays || 7;
     await this.ensureCacheReady();
     const keys = await this.listPriceKeys();
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - keepDays);
+    // Market dates on or before the cutoff are removed
+    const cutoffDate = this.getDateForOffset(-keepDays);
+    // Backfilled days follow their own retention (kept forever by default)
+    const archive = await this.getArchiveIndex();
+    const archiveKeepDays = Number(this.config.backfill?.keepDays) || null;
+    const archiveCutoff = archiveKeepDays
+      ? this.getDateForOffset(-archiveKeepDays)
+      : null;
+    let archiveChanged = false;
+    // Days of the current month feed the subsidy's month-to-date average
+    const currentMonth = this.getDateForOffset(0).slice(0, 7);
 
     for (const key of keys) {
       if (!key.startsWith(PRICE_KEY_PREFIX)) continue;
-      const dateStr = key.slice(PRICE_KEY_PREFIX.length);
-      // Try to parse the date from the key (assuming format is YYYY-MM-DD)
-      const fileDate = new Date(dateStr);
-
-      if (fileDate < cutoffDate) {
+      // The date is always the key suffix, with or without a region segment
+      const dateStr = key.slice(-10);
+      if (!DATE_PATTERN.test(dateStr)) continue;
+
+      if (dateStr <= cutoffDate) {
+        const region = this.regionKeyed
+          ? key.slice(PRICE_KEY_PREFIX.length, -(dateStr.length + 1))
+          : this.defaultRegion;
+        if (
+          dateStr.startsWith(currentMonth) &&
+          this.subsidyCalculator.appliesTo(region)
+        ) {
+          continue;
+        }
+        const archived = archive[region] || [];
+        if (archived.includes(dateStr)) {
+          if (!archiveCutoff || dateStr > archiveCutoff) continue;
+          archive[region] = archived.filter((date) => date !== dateStr);
+          archiveChanged = true;
+        }
+        // Make sure the day is in the long-range statistics before it goes
+        await this.ensurePriceStats(
+          await this.priceCache.retrieveObject(key),
+          region,
+        );
         await this.priceCache.deleteObject(key, true); // true forces sync to file
+        this.priceLru.delete(key);
         console.log(`Cleaned up old cache entry: ${dateStr}`);
       }
     }
+    if (archiveChanged) {
+      await this.priceCache.createObject(ARCHIVE_INDEX_KEY, archive, true);
+    }
 
     await this.cleanupCurrencyCache();
+    await this.cleanupForecastCache();
+  }
+
+  /**
+   * Backfilled dates per region, `{ NO1: ["2024-01-01", ...] }`
+   */
+  async getArchiveIndex() {
+    await this.ensureCacheReady();
+    return (await this.priceCache.retrieveObject(ARCHIVE_INDEX_KEY)) || {};
+  }
+
+  /**
+   * Keep cached dates of a region out of the regular keepDays cleanup
+   */
+  async archivePriceDates(dates, region = this.defaultRegion) {
+    const archive = await this.getArchiveIndex();
+    const archived = new Set(archive[region] || []);
+    const before = archived.size;
+    dates.forEach((date) => archived.add(date));
+    if (archived.size === before) return;
+    archive[region] = [...archived].sort();
+    await this.priceCache.createObject(ARCHIVE_INDEX_KEY, archive, true);
+  }
+
+  /**
+   * Fetch every missing day from `from` to `to` (inclusive) and archive the
+   * range so cleanupOldCache keeps it. Cached days are skipped, which lets an
+   * interrupted backfill resume where it stopped. Requests are spaced by
+   * `delayMs` and a failed day is retried after a doubling pause.
+   * `onProgress` is called after each day with `{ index, total, date, status, error }`.
+   */
+  async backfillPrices({
+    from,
+    to,
+    region = this.defaultRegion,
+    source = null,
+    delayMs = null,
+    retries = null,
+    onProgress = null,
+  } = {}) {
+    const settings = this.config.backfill || {};
+    const resolvedRegion = this.resolveRegion(region);
+    for (const [name, value] of [
+      ["from", from],
+      ["to", to],
+    ]) {
+      if (!DATE_PATTERN.test(value || "")) {
+        throw inputError(`Invalid ${name} date: ${value}. Use YYYY-MM-DD.`);
+      }
+    }
+    if (from > to) throw inputError("The from date is after the to date");
+    const lastDate = this.getDateForOffset(1);
+    if (to > lastDate) {
+      throw inputError(`Prices are not published beyond ${lastDate}`);
+    }
+    const pause = Math.max(0, Number(delayMs ?? settings.delayMs ?? 1000));
+    const maxRetries = Math.max(0, Number(retries ?? settings.retries ?? 2));
+    const preferSource =
+      source || settings.source || this.config.priceFetchPriority || "nordpool";
+
+    const dates = [];
+    const date = new Date(`${from}T00:00:00Z`);
+    while (date.toISOString().slice(0, 10) <= to) {
+      dates.push(date.toISOString().slice(0, 10));
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+
+    const report = {
+      region: resolvedRegion,
+      from,
+      to,
+      total: dates.length,
+      fetched: [],
+      skipped: [],
+      failed: [],
+    };
+    let lastRequest = 0;
+    for (const [index, dateStr] of dates.entries()) {
+      let status = "cached";
+      let error = null;
+      if (await this.priceDataExists(dateStr, resolvedRegion)) {
+        report.skipped.push(dateStr);
+      } else {
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+          const wait = lastRequest + pause * 2 ** attempt - Date.now();
+          if (wait > 0) {
+            await new Promise((resolve) => setTimeout(resolve, wait));
+          }
+          lastRequest = Date.now();
+          try {
+            await this.fetchPricesForDate(
+              dateStr,
+              preferSource,
+              resolvedRegion,
+            );
+            error = null;
+            break;
+          } catch (err) {
+            error = err;
+          }
+        }
+        status = error ? "failed" : "fetched";
+        if (error) {
+          report.failed.push({ date: dateStr, error: error.message });
+        } else {
+          report.fetched.push(dateStr);
+        }
+      }
+      if (!error) await this.archivePriceDates([dateStr], resolvedRegion);
+      if (onProgress) {
+        onProgress({
+          index: index + 1,
+          total: dates.length,
+          date: dateStr,
+          status,
+          error: error ? error.message : null,
+        });
+      }
+    }
+    return report;
   }
 
   /**
    * Fetch prices from APIs and optionally publish based on configuration
    */
-  async fetchAndProcessPrices(dayOffset = 0, preferSource = "nordpool") {
+  async fetchAndProcessPrices(
+    dayOffset = 0,
+    preferSource = "nordpool",
+    region = this.defaultRegion,
+  ) {
     try {
-      // Fetch prices
-      const prices = await this.priceFetcher.fetchPrices(
+      // Fetch prices and add the derived price fields
+      const fetched = await this.priceFetcher.fetchPrices(
         dayOffset,
         preferSource,
+        region,
       );
+      const prices = await this.enrichPrices(fetched, region);
 
       // Publish to MQTT if enabled
       if (this.mqttClient && this.enableMqtt) {
-        await this.publishToMqtt(prices, dayOffset);
+        await this.publishToMqtt(prices, dayOffset, region);
+      }
+      if (prices?.priceDate) {
+        await this.discardForecast(prices.priceDate, region);
       }
 
       return prices;
@@ -459,14 +1069,14 @@ class PriceManager {
   /**
    * Publish price data to MQTT
    */
-  async publishToMqtt(priceData, dayOffset = 0) {
+  async publishToMqtt(priceData, dayOffset = 0, region = this.defaultRegion) {
     if (!this.mqttClient || !this.enableMqtt) {
       throw new Error("MQTT is not enabled or client not available");
     }
 
     try {
       await this.mqttClient.waitForConnect();
-      const topic = `${this.priceTopic}/${priceData.priceDate}`;
+      const topic = `${this.getPriceTopic(region)}/${priceData.priceDate}`;
 
       // Publish the price data
       await this.mqttClient.publish(topic, JSON.stringify(priceData, null, 2), {
@@ -474,15 +1084,62 @@ class PriceManager {
         qos: 1,
       });
 
-      console.log(
-        `MQTT message published: ${this.priceTopic}/${priceData.priceDate}`,
-      );
+      console.log(`MQTT message published: ${topic}`);
     } catch (error) {
       console.error("Error publishing to MQTT:", error.message);
       throw error;
     }
   }
 
+  /**
+   * Publish the latest days of a region as retained MQTT messages and clear
+   * the day that dropped out. With tomorrow's prices cached, today and
+   * tomorrow are published and yesterday cleared; otherwise yesterday and
+   * today are published and the day before cleared.
+   * Returns `[{ topic, action }]`, action `published` or `cleared`.
+   */
+  async publishLatestPrices(region = this.defaultRegion) {
+    if (!this.mqttClient || !this.enableMqtt) {
+      return []; // Nothing to do if MQTT is not enabled
+    }
+
+    const priceTopic = this.getMqttTopic(region);
+    const dateFor = (offset) => this.getDateForOffset(offset);
+    const actions = [];
+    const publish = async (dateStr, label) => {
+      const data = await this.getPriceDataByDate(dateStr, region);
+      if (!data) return;
+      const topic = `${priceTopic}/${dateStr}`;
+      await this.mqttClient.publish(topic, JSON.stringify(data, null, 2), {
+        retain: true,
+        qos: 1,
+      });
+      actions.push({ topic, action: "published" });
+      console.log(`MQTT: Published ${label} prices to ${topic}`);
+    };
+    // Clearing happens AFTER publishing the new data
+    const clear = async (dateStr, label) => {
+      if (!(await this.getPriceDataByDate(dateStr, region))) return;
+      const topic = `${priceTopic}/${dateStr}`;
+      await this.mqttClient.publish(topic, "", { retain: true, qos: 1 });
+      actions.push({ topic, action: "cleared" });
+      console.log(`MQTT: Unpublished ${label} prices from ${topic}`);
+    };
+
+    // Determine if we have tomorrow's data available by checking if tomorrow's date exists in cache
+    if (await this.priceDataExists(dateFor(1), region)) {
+      console.log("NextDayAvailable");
+      await publish(dateFor(0), "today's");
+      await publish(dateFor(1), "tomorrow's");
+      await clear(dateFor(-1), "yesterday's");
+    } else {
+      await publish(dateFor(-1), "yesterday's");
+      await publish(dateFor(0), "today's");
+      await clear(dateFor(-2), "2 days ago's");
+    }
+    return actions;
+  }
+
   /**
    * Get available dates for price data
    */
@@ -536,10 +1193,31 @@ class PriceManager {
   }
 
   /**
-   * Get the configured price service instance
+   * Cheapest contiguous window, e.g. { duration: "3h", to: "07:00" }
+   */
+  findCheapestWindow(options = {}, region = this.defaultRegion) {
+    return this.getPriceService(region).findCheapestWindow(options);
+  }
+
+  /**
+   * Cheapest non-contiguous slots, e.g. { duration: "4h", minRun: "1h" }
+   */
+  selectCheapestSlots(options = {}, region = this.defaultRegion) {
+    return this.getPriceService(region).selectCheapestSlots(options);
+  }
+
+  /**
+   * Get the configured price service instance for a region
+   */
+  getPriceService(region = this.defaultRegion) {
+    return this.priceServices.get(region) || this.priceService;
+  }
+
+  /**
+   * Get the bidding zones handled by this manager
    */
-  getPriceService() {
-    return this.priceService;
+  getRegions() {
+    return [...this.regions];
   }
 
   /**
@@ -571,10 +1249,14 @@ class PriceManager {
   }
 
   /**
-   * Get the MQTT topic
+   * Get the MQTT price topic for a region
    */
-  getMqttTopic() {
-    return this.priceTopic;
+  getMqttTopic(region = this.defaultRegion) {
+    return this.getPriceTopic(region);
+  }
+
+  getPriceTopic(region = this.defaultRegion) {
+    return this.regionKeyed ? `${this.priceTopic}/${region}` : this.priceTopic;
   }
 
   /**
@@ -605,7 +1287,7 @@ class PriceManager {
       const latest = await this.currencyCache.retrieveObject(
         `${CURRENCY_KEY_PREFIX}latest`,
       );
-      const today = new Date().toISOString().split("T")[0];
+      const today = this.getDateForOffset(0);
       if (!latest || latest.date !== today) {
         await this.fetchAndStoreCurrencyRates();
       }
@@ -706,16 +1388,13 @@ class PriceManager {
     if (!this.currencyCache) return;
     await this.currencyCacheReady;
     const keys = await this.currencyCache.keys();
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - this.currencyKeepDays);
+    const cutoffDate = this.getDateForOffset(-this.currencyKeepDays);
 
     for (const key of keys) {
       if (!key.startsWith(CURRENCY_KEY_PREFIX)) continue;
       const dateStr = key.slice(CURRENCY_KEY_PREFIX.length);
-      if (dateStr === "latest") continue;
-      const fileDate = new Date(dateStr);
-      if (Number.isNaN(fileDate.getTime())) continue;
-      if (fileDate < cutoffDate) {
+      if (!DATE_PATTERN.test(dateStr)) continue;
+      if (dateStr <= cutoffDate) {
         await this.currencyCache.deleteObject(key, true);
         console.log(`Cleaned up old currency entry: ${dateStr}`);
       }
@@ -723,23 +1402,1034 @@ class PriceManager {
   }
 
   /**
-   * Get the cache methods for accessing stored price data
+   * Listen for consumption peaks on MQTT and publish the current capacity status
    */
-  getCacheAccess() {
-    return {
-      getPriceDataByDate: this.getPriceDataByDate.bind(this),
-      priceDataExists: this.priceDataExists.bind(this),
+  async startCapacityTariff() {
+    if (!this.capacityTariff || !this.mqttClient) return;
+
+    this.mqttClient.subscribe(this.capacityPeakTopic).catch((error) => {
+      console.error(
+        `[PriceManager] Subscription error for ${this.capacityPeakTopic}: ${error.message}`,
+      );
+    });
+    this.mqttClient.on("message", (topic, message) => {
+      if (topic !== this.capacityPeakTopic) return;
+      this.handleCapacityPeakMessage(message).catch((error) => {
+        console.warn(
+          `[PriceManager] Ignoring capacity peak on ${topic}: ${error.message}`,
+        );
+      });
+    });
+
+    await this.publishCapacityStatus();
+  }
+
+  /**
+   * Accepts a bare number (today's peak in kW) or JSON `{ "peak": 4.2, "date": "YYYY-MM-DD" }`
+   */
+  async handleCapacityPeakMessage(message) {
+    const text = message.toString().trim();
+    if (!text) return null;
+    const payload = Number.isNaN(Number(text))
+      ? JSON.parse(text)
+      : Number(text);
+    if (typeof payload === "number") {
+      return this.recordCapacityPeak(payload);
+    }
+    return this.recordCapacityPeak(payload.peak, payload.date);
+  }
+
+  /**
+   * Record a daily consumption peak (kW); the highest value per day is kept.
+   * Returns the capacity status of the month the peak belongs to.
+   */
+  async recordCapacityPeak(peak, dateStr = this.getDateForOffset(0)) {
+    if (!this.capacityTariff) {
+      throw inputError("Capacity tariff is not configured");
+    }
+    const value = Number(peak);
+    if (peak === null || !Number.isFinite(value) || value < 0) {
+      throw inputError(`Invalid consumption peak: ${peak}`);
+    }
+    if (!DATE_PATTERN.test(dateStr || "")) {
+      throw inputError(`Invalid date: ${dateStr}. Expected YYYY-MM-DD.`);
+    }
+
+    await this.capacityCacheReady;
+    const month = dateStr.slice(0, 7);
+    const key = `${CAPACITY_KEY_PREFIX}${month}`;
+    const record = (await this.capacityCache.retrieveObject(key)) || {
+      month,
+      peaks: {},
+    };
+    record.peaks = {
+      ...(record.peaks || {}),
+      [dateStr]: Math.max(Number(record.peaks?.[dateStr]) || 0, value),
     };
+    await this.capacityCache.createObject(key, record, true);
+    await this.cleanupCapacityCache();
+
+    // The retained topic always shows the current month
+    const current = await this.getCapacityStatus();
+    await this.publishCapacityStatus(current);
+    return month === this.getDateForOffset(0).slice(0, 7)
+      ? current
+      : this.getCapacityStatus(dateStr);
   }
 
-  async ensureCacheReady() {
-    if (this.cacheReady) {
-      await this.cacheReady;
+  /**
+   * Remove capacity records older than `capacityKeepMonths`
+   */
+  async cleanupCapacityCache() {
+    const [year, month] = this.getDateForOffset(0).split("-").map(Number);
+    const cutoff = new Date(Date.UTC(year, month - 1 - this.capacityKeepMonths))
+      .toISOString()
+      .slice(0, 7);
+    for (const key of await this.capacityCache.keys()) {
+      if (!key.startsWith(CAPACITY_KEY_PREFIX)) continue;
+      if (key.slice(CAPACITY_KEY_PREFIX.length) < cutoff) {
+        await this.capacityCache.deleteObject(key, true);
+      }
+    }
+  }
+
+  /**
+   * Current and projected capacity step for the month of `dateStr`
+   */
+  async getCapacityStatus(dateStr = this.getDateForOffset(0)) {
+    if (!this.capacityTariff) return null;
+    await this.capacityCacheReady;
+    const record = await this.capacityCache.retrieveObject(
+      `${CAPACITY_KEY_PREFIX}${dateStr.slice(0, 7)}`,
+    );
+    return this.capacityTariff.evaluate(record?.peaks || {}, dateStr);
+  }
+
+  /**
+   * Publish the capacity status next to the price data
+   */
+  async publishCapacityStatus(status = null) {
+    if (!this.capacityTariff || !this.mqttClient || !this.enableMqtt) return;
+    try {
+      const payload = status || (await this.getCapacityStatus());
+      const topic = `${this.priceTopic}/capacity`;
+      await this.mqttClient.publish(topic, JSON.stringify(payload, null, 2), {
+        retain: true,
+        qos: 1,
+      });
+      if (this.config.debug) console.log(`MQTT: Published ${topic}`);
+    } catch (error) {
+      console.error("Error publishing capacity status:", error.message);
     }
   }
 
-  getPriceKey(dateStr) {
-    return `${PRICE_KEY_PREFIX}${dateStr}`;
+  getCapacityAccess() {
+    if (!this.capacityTariff) return null;
+    return {
+      getStatus: this.getCapacityStatus.bind(this),
+      recordPeak: this.recordCapacityPeak.bind(this),
+    };
+  }
+
+  /**
+   * Re-plan the battery whenever the price service of its region has new
+   * prices or a new forecast, and follow state of charge reports when `battery.socTopic` is set
+   */
+  startBatteryPlanner() {
+    if (!this.batteryPlanner) return;
+
+    const replan = ({ region } = {}) => {
+      if (region && String(region).toUpperCase() !== this.batteryRegion) return;
+      this.updateBatteryPlan().catch((error) => {
+        console.error("Error updating battery plan:", error.message);
+      });
+    };
+    this.eventEmitter.on("newPrices", replan);
+    this.eventEmitter.on("newForecast", replan);
+
+    const socTopic = this.config.battery.socTopic;
+    if (socTopic && this.mqttClient) {
+      this.mqttClient.subscribe(socTopic).catch((error) => {
+        console.error(
+          `[PriceManager] Subscription error for ${socTopic}: ${error.message}`,
+        );
+      });
+      this.mqttClient.on("message", (topic, message) => {
+        if (topic !== socTopic) return;
+        const soc = Number(message.toString().trim());
+        if (Number.isFinite(soc) && soc >= 0 && soc <= 100) {
+          this.batterySoc = soc;
+        }
+      });
+    }
+  }
+
+  /**
+   * Charge/idle/discharge plan for the configured battery from the current
+   * slot to the end of the known prices. `socPercent` overrides the last
+   * reported (or configured) state of charge.
+   */
+  planBattery({ socPercent = null, field = null } = {}) {
+    if (!this.batteryPlanner) {
+      throw inputError("Battery planner is not configured");
+    }
+    const soc = socPercent === null ? this.batterySoc : Number(socPercent);
+    if (soc !== null && !(Number.isFinite(soc) && soc >= 0 && soc <= 100)) {
+      throw inputError(`Invalid state of charge: ${socPercent}`);
+    }
+    const service = this.getPriceService(this.batteryRegion);
+    const now = new Date();
+    const slots = slotsInRange(service.getSlots(field), now);
+    return {
+      region: this.batteryRegion,
+      createdAt: now.toISOString(),
+      provisional: !service.nextDayAvailable,
+      ...this.batteryPlanner.plan(slots, {
+        socPercent: soc ?? undefined,
+        now,
+      }),
+    };
+  }
+
+  async updateBatteryPlan() {
+    this.batteryPlan = this.planBattery();
+    await this.publishBatteryPlan(this.batteryPlan);
+    return this.batteryPlan;
+  }
+
+  /**
+   * Publish the battery plan next to the price data
+   */
+  async publishBatteryPlan(plan) {
+    if (!this.mqttClient || !this.enableMqtt || !plan) return;
+    try {
+      const topic = `${this.priceTopic}/battery/plan`;
+      await this.mqttClient.publish(topic, JSON.stringify(plan, null, 2), {
+        retain: true,
+        qos: 1,
+      });
+      if (this.config.debug) console.log(`MQTT: Published ${topic}`);
+    } catch (error) {
+      console.error("Error publishing battery plan:", error.message);
+    }
+  }
+
+  getBatteryAccess() {
+    if (!this.batteryPlanner) return null;
+    return {
+      getPlan: this.planBattery.bind(this),
+    };
+  }
+
+  /**
+   * Accept charging requests on the EV command topic and re-plan a
+   * provisional plan when its region receives new prices or a new forecast
+   */
+  startEvPlanner() {
+    const replan = ({ region } = {}) => {
+      if (region && String(region).toUpperCase() !== this.evRegion) return;
+      if (!this.evPlan || !this.evPlan.provisional) return;
+      this.replanEvCharging().catch((error) => {
+        console.error("Error re-planning EV charging:", error.message);
+      });
+    };
+    this.eventEmitter.on("newPrices", replan);
+    this.eventEmitter.on("newForecast", replan);
+
+    if (!this.evCommandTopic || !this.mqttClient) return;
+    this.mqttClient.subscribe(this.evCommandTopic).catch((error) => {
+      console.error(
+        `[PriceManager] Subscription error for ${this.evCommandTopic}: ${error.message}`,
+      );
+    });
+    this.mqttClient.on("message", (topic, message) => {
+      if (topic !== this.evCommandTopic) return;
+      this.handleEvCommandMessage(message).catch((error) => {
+        console.warn(
+          `[PriceManager] Ignoring EV command on ${topic}: ${error.message}`,
+        );
+      });
+    });
+  }
+
+  /**
+   * JSON `{ "energyKwh": 30, "powerKw": 11, "departure": "07:00" }` sets the
+   * plan; an empty message or `cancel` clears it
+   */
+  async handleEvCommandMessage(message) {
+    const text = message.toString().trim();
+    if (!text || text.toLowerCase() === "cancel") {
+      return this.clearEvChargingPlan();
+    }
+    return this.setEvChargingPlan(JSON.parse(text));
+  }
+
+  /**
+   * Cheapest slots that deliver `energyKwh` before `departure`, without
+   * making it the active plan
+   */
+  planEvCharging(request = {}) {
+    const now = new Date();
+    const normalized = {
+      ...this.evPlanner.normalizeRequest(request, now),
+      field: request.field || null,
+    };
+    return this.buildEvPlan(normalized, now);
+  }
+
+  buildEvPlan(request, now = new Date()) {
+    const service = this.getPriceService(this.evRegion);
+    return {
+      region: this.evRegion,
+      createdAt: now.toISOString(),
+      ...this.evPlanner.plan(service.getSlots(request.field), request, now),
+    };
+  }
+
+  /**
+   * Make a charging request the active plan and publish it
+   */
+  async setEvChargingPlan(request = {}) {
+    const now = new Date();
+    this.evRequest = {
+      ...this.evPlanner.normalizeRequest(request, now),
+      field: request.field || null,
+    };
+    this.evPlan = this.buildEvPlan(this.evRequest, now);
+    await this.publishEvPlan(this.evPlan);
+    return this.evPlan;
+  }
+
+  /**
+   * Recompute the active plan from the current slot, dropping it once the
+   * departure time has passed
+   */
+  async replanEvCharging() {
+    if (!this.evRequest) return null;
+    if (new Date(this.evRequest.departure) <= new Date()) {
+      await this.clearEvChargingPlan();
+      return null;
+    }
+    this.evPlan = this.buildEvPlan(this.evRequest);
+    await this.publishEvPlan(this.evPlan);
+    return this.evPlan;
+  }
+
+  async clearEvChargingPlan() {
+    this.evRequest = null;
+    this.evPlan = null;
+    await this.publishEvPlan(null);
+    return null;
+  }
+
+  getEvChargingPlan() {
+    return this.evPlan;
+  }
+
+  /**
+   * Publish the active EV plan; an empty retained message clears it
+   */
+  async publishEvPlan(plan) {
+    if (!this.mqttClient || !this.enableMqtt) return;
+    try {
+      const topic = `${this.priceTopic}/ev/plan`;
+      const payload = plan ? JSON.stringify(plan, null, 2) : "";
+      await this.mqttClient.publish(topic, payload, { retain: true, qos: 1 });
+      if (this.config.debug) console.log(`MQTT: Published ${topic}`);
+    } catch (error) {
+      console.error("Error publishing EV plan:", error.message);
+    }
+  }
+
+  getEvAccess() {
+    return {
+      getPlan: this.getEvChargingPlan.bind(this),
+      previewPlan: this.planEvCharging.bind(this),
+      setPlan: this.setEvChargingPlan.bind(this),
+      clearPlan: this.clearEvChargingPlan.bind(this),
+    };
+  }
+
+  getStatsKey(period, key, region = this.defaultRegion) {
+    return `${period}-${region}-${key}`;
+  }
+
+  /**
+   * Add a day's prices to its daily, weekly, monthly and yearly rollups.
+   * Errors are logged; statistics never stop a fetch or a cleanup.
+   */
+  async recordPriceStats(priceData, region = this.defaultRegion) {
+    if (!this.statsCache || !DATE_PATTERN.test(priceData?.priceDate || "")) {
+      return false;
+    }
+    try {
+      const fields = accumulateDay(priceData, {
+        fields: this.statsFields,
+        dayHoursStart: this.config.dayHoursStart,
+        dayHoursEnd: this.config.dayHoursEnd,
+        timeZone: this.config.timezone,
+      });
+      if (!Object.keys(fields).length) return false;
+
+      await this.statsCacheReady;
+      const date = priceData.priceDate;
+      for (const period of STATS_PERIODS) {
+        const key = periodKey(period, date);
+        const cacheKey = this.getStatsKey(period, key, region);
+        const record = (await this.statsCache.retrieveObject(cacheKey)) || {
+          period,
+          key,
+          region,
+          days: {},
+        };
+        record.days[date] = fields;
+        await this.statsCache.createObject(cacheKey, record, true);
+      }
+      return true;
+    } catch (error) {
+      console.error("Error recording price statistics:", error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Record a day's statistics unless its daily rollup already exists
+   */
+  async ensurePriceStats(priceData, region = this.defaultRegion) {
+    if (!this.statsCache || !DATE_PATTERN.test(priceData?.priceDate || "")) {
+      return false;
+    }
+    await this.statsCacheReady;
+    const existing = await this.statsCache.retrieveObject(
+      this.getStatsKey("daily", priceData.priceDate, region),
+    );
+    if (existing) return false;
+    return this.recordPriceStats(priceData, region);
+  }
+
+  resolveRegion(region) {
+    const resolved = String(region || this.defaultRegion).toUpperCase();
+    if (!this.regions.includes(resolved)) {
+      throw inputError(
+        `Unknown region: ${region}. Use ${this.regions.join(", ")}.`,
+      );
+    }
+    return resolved;
+  }
+
+  /**
+   * Summary of one rollup: avg, min, max, peak, off-peak and volatility per
+   * price field. `key` is a period key (2025-10-15, 2025-W42, 2025-10, 2025)
+   * or `current` / `previous`. Returns null when nothing was recorded.
+   */
+  async getPriceStats(period, key = "current", region = this.defaultRegion) {
+    if (!this.statsCache) return null;
+    if (!STATS_PERIODS.includes(period)) {
+      throw inputError(
+        `Invalid period: ${period}. Use ${STATS_PERIODS.join(", ")}.`,
+      );
+    }
+    const resolvedRegion = this.resolveRegion(region);
+    const today = this.getDateForOffset(0);
+    let resolvedKey = key;
+    if (key === "current") resolvedKey = periodKey(period, today);
+    if (key === "previous") resolvedKey = previousPeriodKey(period, today);
+    if (!isValidPeriodKey(period, resolvedKey)) {
+      throw inputError(`Invalid ${period} key: ${key}`);
+    }
+
+    await this.statsCacheReady;
+    const record = await this.statsCache.retrieveObject(
+      this.getStatsKey(period, resolvedKey, resolvedRegion),
+    );
+    return record
+      ? summarizeRollup(record, this.priceCalculator.decimals)
+      : null;
+  }
+
+  /**
+   * Summaries of all recorded rollups of a period, optionally limited to
+   * keys between `from` and `to` (inclusive)
+   */
+  async listPriceStats(
+    period,
+    region = this.defaultRegion,
+    { from = null, to = null } = {},
+  ) {
+    if (!this.statsCache) return [];
+    if (!STATS_PERIODS.includes(period)) {
+      throw inputError(
+        `Invalid period: ${period}. Use ${STATS_PERIODS.join(", ")}.`,
+      );
+    }
+    const resolvedRegion = this.resolveRegion(region);
+    const prefix = this.getStatsKey(period, "", resolvedRegion);
+
+    await this.statsCacheReady;
+    const keys = (await this.statsCache.keys())
+      .filter((cacheKey) => cacheKey.startsWith(prefix))
+      .map((cacheKey) => cacheKey.slice(prefix.length))
+      .filter((key) => (!from || key >= from) && (!to || key <= to))
+      .sort();
+    const summaries = [];
+    for (const key of keys) {
+      const record = await this.statsCache.retrieveObject(
+        this.getStatsKey(period, key, resolvedRegion),
+      );
+      if (record) {
+        summaries.push(summarizeRollup(record, this.priceCalculator.decimals));
+      }
+    }
+    return summaries;
+  }
+
+  getStatsAccess() {
+    if (!this.statsCache) return null;
+    return {
+      getStats: this.getPriceStats.bind(this),
+      listStats: this.listPriceStats.bind(this),
+    };
+  }
+
+  /**
+   * Metrics registry with the service's metrics; values read at scrape time
+   * are filled in by collectors
+   */
+  createMetrics() {
+    const metrics = new MetricsRegistry();
+    this.meters = {
+      spotPrice: metrics.gauge(
+        "elwiz_spot_price",
+        "Spot price of the current slot",
+        ["region"],
+      ),
+      todayMin: metrics.gauge(
+        "elwiz_price_today_min",
+        "Lowest price of the current day",
+        ["region"],
+      ),
+      todayMax: metrics.gauge(
+        "elwiz_price_today_max",
+        "Highest price of the current day",
+        ["region"],
+      ),
+      todayAvg: metrics.gauge(
+        "elwiz_price_today_avg",
+        "Average price of the current day",
+        ["region"],
+      ),
+      tomorrowAvailable: metrics.gauge(
+        "elwiz_price_tomorrow_available",
+        "1 when tomorrow's prices are available",
+        ["region"],
+      ),
+      lastFetch: metrics.gauge(
+        "elwiz_fetch_last_success_timestamp_seconds",
+        "Unix time of the last successful price fetch",
+        ["provider"],
+      ),
+      fetchFailures: metrics.counter(
+        "elwiz_fetch_failures_total",
+        "Failed price fetches",
+        ["provider", "reason"],
+      ),
+      cacheEntries: metrics.gauge(
+        "elwiz_cache_entries",
+        "Entries in each cache",
+        ["cache"],
+      ),
+      mqttConnected: metrics.gauge(
+        "elwiz_mqtt_connected",
+        "1 while connected to the MQTT broker",
+      ),
+      httpDuration: metrics.histogram(
+        "elwiz_http_request_duration_seconds",
+        "REST API request latency",
+        ["method", "route", "status"],
+      ),
+    };
+    metrics.addCollector(() => this.collectPriceMetrics());
+    metrics.addCollector(() => this.collectCacheMetrics());
+    return metrics;
+  }
+
+  /**
+   * Count a price fetch: the success time, or the failure and its reason.
+   * The latest fetches are also kept for the admin status.
+   */
+  recordFetch(provider, error = null, { date = null, region = null } = {}) {
+    this.fetchHistory.unshift({
+      at: new Date().toISOString(),
+      provider,
+      region,
+      date,
+      error: error ? error.message : null,
+    });
+    this.fetchHistory.length = Math.min(
+      this.fetchHistory.length,
+      FETCH_HISTORY_SIZE,
+    );
+    if (!this.metrics) return;
+    if (error) {
+      this.meters.fetchFailures.inc({
+        provider,
+        reason: fetchFailureReason(error),
+      });
+    } else {
+      this.meters.lastFetch.set({ provider }, Math.round(Date.now() / 1000));
+    }
+  }
+
+  collectPriceMetrics() {
+    const { spotPrice, todayMin, todayMax, todayAvg, tomorrowAvailable } =
+      this.meters;
+    for (const meter of [spotPrice, todayMin, todayMax, todayAvg]) {
+      meter.reset();
+    }
+    tomorrowAvailable.reset();
+    const now = new Date();
+    for (const [region, service] of this.priceServices) {
+      const labels = { region };
+      const current = service.getSlotAt(now)?.current.entry.spotPrice;
+      if (Number.isFinite(current)) spotPrice.set(labels, current);
+      const daily = service.getCurrentDaySummary();
+      for (const [meter, value] of [
+        [todayMin, daily.minPrice],
+        [todayMax, daily.maxPrice],
+        [todayAvg, daily.avgPrice],
+      ]) {
+        if (Number.isFinite(value)) meter.set(labels, value);
+      }
+      tomorrowAvailable.set(labels, service.isNextDayAvailable() ? 1 : 0);
+    }
+
+    this.meters.mqttConnected.reset();
+    if (this.enableMqtt) {
+      this.meters.mqttConnected.set({}, this.mqttClient?.connected ? 1 : 0);
+    }
+  }
+
+  async collectCacheMetrics() {
+    const { cacheEntries } = this.meters;
+    cacheEntries.reset();
+    const priceKeys = await this.listPriceKeys();
+    cacheEntries.set(
+      { cache: "prices" },
+      priceKeys.filter((key) => key.startsWith(PRICE_KEY_PREFIX)).length,
+    );
+    for (const [name, cache] of [
+      ["currencies", this.currencyCache],
+      ["stats", this.statsCache],
+      ["forecasts", this.forecastCache],
+      ["capacity", this.capacityCache],
+    ]) {
+      if (cache) cacheEntries.set({ cache: name }, (await cache.keys()).length);
+    }
+  }
+
+  getMetricsAccess() {
+    if (!this.metrics) return null;
+    return {
+      contentType: MetricsRegistry.CONTENT_TYPE,
+      render: () => this.metrics.render(),
+      observeRequest: ({ method, route, status, seconds }) =>
+        this.meters.httpDuration.observe({ method, route, status }, seconds),
+    };
+  }
+
+  getForecastKey(dateStr, region = this.defaultRegion) {
+    return `${FORECAST_KEY_PREFIX}${region}-${dateStr}`;
+  }
+
+  /**
+   * Forecast a day (default: tomorrow) whose prices are not cached yet,
+   * store it, publish it to `<priceTopic>/forecast/<date>` and hand it to the
+   * region's price service. Returns null when real prices exist or the
+   * history is too short.
+   */
+  async generateForecast(
+    dateStr = this.getDateForOffset(1),
+    region = this.defaultRegion,
+  ) {
+    if (!this.priceForecaster) return null;
+    if (await this.priceDataExists(dateStr, region)) {
+      await this.discardForecast(dateStr, region);
+      return null;
+    }
+
+    const history = await this.getTrailingHistory(
+      dateStr,
+      this.priceForecaster.historyDays,
+      region,
+    );
+    const seasonal = await this.getSeasonalReference(history, dateStr, region);
+    const forecast = this.priceForecaster.forecast(dateStr, history, seasonal);
+    if (!forecast) {
+      if (this.config.debug) {
+        console.log(
+          `Not enough price history to forecast ${dateStr} for ${region}`,
+        );
+      }
+      return null;
+    }
+    const enriched = await this.enrichPrices(forecast, region);
+
+    await this.forecastCacheReady;
+    await this.forecastCache.createObject(
+      this.getForecastKey(dateStr, region),
+      enriched,
+      true,
+    );
+    this.getPriceService(region)?.setForecast(enriched);
+    await this.publishForecast(dateStr, enriched, region);
+    this.eventEmitter.emit("newForecast", { region });
+    return enriched;
+  }
+
+  /**
+   * Forecast tomorrow for every region, logging failures per region
+   */
+  async updateForecasts() {
+    if (!this.priceForecaster) return;
+    for (const region of this.regions) {
+      try {
+        await this.generateForecast(this.getDateForOffset(1), region);
+      } catch (error) {
+        console.error(`Error forecasting prices for ${region}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Last year's spot price level over the history window and around the
+   * target date, from the daily statistics. Null when either is missing.
+   */
+  async getSeasonalReference(history, dateStr, region = this.defaultRegion) {
+    if (
+      !this.statsCache ||
+      this.config.forecast?.seasonal === false ||
+      !history.length
+    ) {
+      return null;
+    }
+    const lastYear = (date, days = 0) => {
+      const shifted = new Date(`${date}T00:00:00Z`);
+      shifted.setUTCFullYear(shifted.getUTCFullYear() - 1);
+      shifted.setUTCDate(shifted.getUTCDate() + days);
+      return shifted.toISOString().slice(0, 10);
+    };
+    const averageBetween = async (fromDate, toDate) => {
+      let sum = 0;
+      let count = 0;
+      const date = new Date(`${fromDate}T00:00:00Z`);
+      while (date.toISOString().slice(0, 10) <= toDate) {
+        const key = date.toISOString().slice(0, 10);
+        const record = await this.statsCache.retrieveObject(
+          this.getStatsKey("daily", key, region),
+        );
+        const acc = record?.days?.[key]?.spotPrice;
+        if (acc && acc.count) {
+          sum += acc.sum;
+          count += acc.count;
+        }
+        date.setUTCDate(date.getUTCDate() + 1);
+      }
+      return count ? sum / count : null;
+    };
+
+    await this.statsCacheReady;
+    const windowAvg = await averageBetween(
+      lastYear(history[0].priceDate),
+      lastYear(history[history.length - 1].priceDate),
+    );
+    const targetAvg = await averageBetween(
+      lastYear(dateStr, -3),
+      lastYear(dateStr, 3),
+    );
+    return windowAvg === null || targetAvg === null
+      ? null
+      : { windowAvg, targetAvg };
+  }
+
+  /**
+   * Stored forecast for a day (default: tomorrow), or null
+   */
+  async getForecast(
+    dateStr = this.getDateForOffset(1),
+    region = this.defaultRegion,
+  ) {
+    if (!this.forecastCache) return null;
+    if (!DATE_PATTERN.test(dateStr || "")) {
+      throw inputError(`Invalid date: ${dateStr}`);
+    }
+    await this.forecastCacheReady;
+    return this.forecastCache.retrieveObject(
+      this.getForecastKey(dateStr, region || this.defaultRegion),
+    );
+  }
+
+  /**
+   * Remove a day's forecast once its real prices are known, clearing the
+   * retained MQTT message as well
+   */
+  async discardForecast(dateStr, region = this.defaultRegion) {
+    if (!this.forecastCache) return false;
+    await this.forecastCacheReady;
+    const key = this.getForecastKey(dateStr, region);
+    if (!(await this.forecastCache.retrieveObject(key))) return false;
+    await this.forecastCache.deleteObject(key, true);
+    this.getPriceService(region)?.clearForecast(dateStr);
+    await this.publishForecast(dateStr, null, region);
+    return true;
+  }
+
+  /**
+   * Publish a forecast; an empty retained message clears it
+   */
+  async publishForecast(dateStr, forecast, region = this.defaultRegion) {
+    if (!this.mqttClient || !this.enableMqtt) return;
+    try {
+      const topic = `${this.getPriceTopic(region)}/forecast/${dateStr}`;
+      const payload = forecast ? JSON.stringify(forecast, null, 2) : "";
+      await this.mqttClient.publish(topic, payload, { retain: true, qos: 1 });
+      if (this.config.debug) console.log(`MQTT: Published ${topic}`);
+    } catch (error) {
+      console.error("Error publishing price forecast:", error.message);
+    }
+  }
+
+  /**
+   * Drop forecasts for days that have passed
+   */
+  async cleanupForecastCache() {
+    if (!this.forecastCache) return;
+    await this.forecastCacheReady;
+    const today = this.getDateForOffset(0);
+    for (const key of await this.forecastCache.keys()) {
+      if (!key.startsWith(FORECAST_KEY_PREFIX)) continue;
+      const dateStr = key.slice(-10);
+      if (!DATE_PATTERN.test(dateStr) || dateStr >= today) continue;
+      const region = key.slice(
+        FORECAST_KEY_PREFIX.length,
+        -(dateStr.length + 1),
+      );
+      await this.discardForecast(dateStr, region);
+    }
+  }
+
+  getForecastAccess() {
+    if (!this.forecastCache) return null;
+    return {
+      getForecast: this.getForecast.bind(this),
+    };
+  }
+
+  /**
+   * Wrap a scheduled task so its runs show up in the admin status. Errors
+   * are logged and kept as the job's last error.
+   */
+  trackJob(id, schedule, task) {
+    const job = {
+      id,
+      schedule,
+      running: false,
+      runs: 0,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastError: null,
+    };
+    this.jobs.set(id, job);
+    return async () => {
+      const started = Date.now();
+      job.running = true;
+      job.lastRunAt = new Date(started).toISOString();
+      try {
+        await task();
+        job.lastError = null;
+      } catch (error) {
+        job.lastError = error.message;
+        console.error(
+          `[${new Date().toISOString()}] Scheduled ${id} error:`,
+          error.message,
+        );
+      } finally {
+        job.running = false;
+        job.runs += 1;
+        job.lastDurationMs = Date.now() - started;
+      }
+    };
+  }
+
+  /**
+   * Fetch a cached day again, e.g. after the provider has corrected its
+   * prices. The cached day is kept when the fetch fails. A day in the
+   * published window (yesterday to tomorrow) is published to MQTT again, so
+   * retained topics and the price services pick up the corrected prices.
+   */
+  async refetchPrices(dateStr, { source = null, region = null } = {}) {
+    const resolvedRegion = this.resolveRegion(region);
+    if (!isCalendarDate(dateStr)) {
+      throw inputError(`Invalid date: ${dateStr}`);
+    }
+    const provider = source || this.config.priceFetchPriority || "nordpool";
+    const previous = await this.getPriceDataByDate(dateStr, resolvedRegion);
+    let prices;
+    try {
+      prices = await this.fetchPricesOnly(dateStr, provider, resolvedRegion, {
+        force: true,
+      });
+    } catch (error) {
+      if (!error.status) error.status = 502; // The provider failed
+      throw error;
+    }
+    const published =
+      dateStr >= this.getDateForOffset(-1) &&
+      dateStr <= this.getDateForOffset(1)
+        ? await this.publishLatestPrices(resolvedRegion)
+        : [];
+    return {
+      date: dateStr,
+      region: resolvedRegion,
+      source: provider,
+      replaced: Boolean(previous),
+      changed: !previous || contentHash(previous) !== prices.contentHash,
+      contentHash: prices.contentHash,
+      fetchedAt: prices.fetchedAt,
+      published,
+    };
+  }
+
+  /**
+   * Remove a cached day (and its backfill archive entry). Returns false
+   * when the day was not cached.
+   */
+  async deletePriceData(dateStr, region = null) {
+    const resolvedRegion = this.resolveRegion(region);
+    if (!isCalendarDate(dateStr)) {
+      throw inputError(`Invalid date: ${dateStr}`);
+    }
+    if (!(await this.priceDataExists(dateStr, resolvedRegion))) return false;
+    const key = this.getPriceKey(dateStr, resolvedRegion);
+    await this.priceCache.deleteObject(key, true);
+    this.priceLru.delete(key);
+    const archive = await this.getArchiveIndex();
+    if ((archive[resolvedRegion] || []).includes(dateStr)) {
+      archive[resolvedRegion] = archive[resolvedRegion].filter(
+        (date) => date !== dateStr,
+      );
+      await this.priceCache.createObject(ARCHIVE_INDEX_KEY, archive, true);
+    }
+    console.log(`Removed cached prices: ${resolvedRegion} ${dateStr}`);
+    return true;
+  }
+
+  /**
+   * Run the MQTT publishing of the latest days again, for `regions` or all
+   */
+  async republishPrices(regions = null) {
+    if (!this.mqttClient || !this.enableMqtt) {
+      const error = new Error("MQTT is not enabled");
+      error.status = 409;
+      throw error;
+    }
+    const targets = regions?.length
+      ? [...new Set(regions.map((region) => this.resolveRegion(region)))]
+      : this.regions;
+    const published = {};
+    for (const region of targets) {
+      published[region] = await this.publishLatestPrices(region);
+    }
+    await this.publishCapacityStatus();
+    return { regions: published };
+  }
+
+  /**
+   * Scheduler jobs, the latest fetches and what the caches hold
+   */
+  async getAdminStatus() {
+    const archive = await this.getArchiveIndex();
+    const prices = {};
+    for (const region of this.regions) {
+      const dates = (await this.getAllCachedDates(region)).sort();
+      prices[region] = {
+        days: dates.length,
+        archived: (archive[region] || []).length,
+        dates,
+      };
+    }
+    const keyCount = async (cache) => (cache ? (await cache.keys()).length : 0);
+    return {
+      startedAt: this.startedAt ? this.startedAt.toISOString() : null,
+      uptimeSeconds: this.startedAt
+        ? Math.round((Date.now() - this.startedAt) / 1000)
+        : null,
+      timezone: this.timezone,
+      regions: this.regions,
+      mqtt: {
+        enabled: this.enableMqtt,
+        connected: Boolean(this.enableMqtt && this.mqttClient?.connected),
+      },
+      jobs: [...this.jobs.values()],
+      fetches: this.fetchHistory,
+      cache: {
+        prices,
+        recentDays: this.priceLru.size,
+        currencies: await keyCount(this.currencyCache),
+        stats: await keyCount(this.statsCache),
+        forecasts: await keyCount(this.forecastCache),
+        capacity: await keyCount(this.capacityCache),
+      },
+    };
+  }
+
+  getAdminAccess() {
+    return {
+      refetch: this.refetchPrices.bind(this),
+      deleteDay: this.deletePriceData.bind(this),
+      republish: this.republishPrices.bind(this),
+      getStatus: this.getAdminStatus.bind(this),
+    };
+  }
+
+  /**
+   * Get the cache methods for accessing stored price data
+   */
+  getCacheAccess() {
+    return {
+      getPriceDataByDate: this.getRecentPriceData.bind(this),
+      priceDataExists: async (dateStr, region = this.defaultRegion) =>
+        this.priceLru.has(this.getPriceKey(dateStr, region)) ||
+        this.priceDataExists(dateStr, region),
+      getCachedDates: this.getAllCachedDates.bind(this),
+    };
+  }
+
+  /**
+   * getPriceDataByDate through the in-memory LRU of recently served days
+   */
+  async getRecentPriceData(dateStr, region = this.defaultRegion) {
+    const key = this.getPriceKey(dateStr, region);
+    const recent = this.priceLru.get(key);
+    if (recent) return recent;
+    const data = await this.getPriceDataByDate(dateStr, region);
+    if (data) this.priceLru.set(key, data);
+    return data;
+  }
+
+  async ensureCacheReady() {
+    if (this.cacheReady) {
+      await this.cacheReady;
+    }
+  }
+
+  getPriceKeyPrefix(region = this.defaultRegion) {
+    return this.regionKeyed
+      ? `${PRICE_KEY_PREFIX}${region}-`
+      : PRICE_KEY_PREFIX;
+  }
+
+  getPriceKey(dateStr, region = this.defaultRegion) {
+    return `${this.getPriceKeyPrefix(region)}${dateStr}`;
   }
 
   async listPriceKeys() {
@@ -0,0 +1,262 @@
+/**
+ * ElWiz Prices - Price Ranges
+ *
+ * Flat, time-ordered slot series across cached days, shared by the REST
+ * range route and the CLI. Days are converted one at a time, so a range
+ * across a change of market resolution still comes out uniform.
+ */
+
+const { normalizeSeries } = require("./priceSeriesNormalizer");
+const { optionError, roundPrice, toSlotSeries } = require("./priceSlots");
+const {
+  addDays,
+  dateInTimeZone,
+  formatInTimeZone,
+  getDefaultTimeZone,
+  zonedTimeToDate,
+} = require("../utils/timezone");
+
+const RESOLUTIONS = ["1h", "15m"];
+const RESOLUTION_MS = { "1h": 3600000, "15m": 900000 };
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 10000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * A range boundary: an ISO timestamp, or a date meaning midnight in
+ * `timeZone` (default: the server's)
+ */
+function parseRangeTime(value, name, timeZone = getDefaultTimeZone()) {
+  if (value === undefined || value === null || value === "") {
+    throw optionError(`Missing ${name}. Use YYYY-MM-DD or an ISO timestamp.`);
+  }
+  const text = String(value);
+  let date;
+  if (DATE_PATTERN.test(text)) {
+    date = zonedTimeToDate(text, "00:00", timeZone);
+  } else {
+    date = new Date(text);
+  }
+  if (Number.isNaN(date.getTime())) {
+    throw optionError(`Invalid ${name}: ${value}`);
+  }
+  return date;
+}
+
+function parseInteger(value, name, fallback, min, max) {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw optionError(`Invalid ${name}: ${value}. Use ${min}-${max}.`);
+  }
+  return number;
+}
+
+/**
+ * Validate range options, as query strings or values:
+ * `{ from, to, resolution, fields, offset, limit }`. Plain dates are read
+ * in `timeZone`.
+ */
+function parseRangeOptions(query = {}, timeZone = getDefaultTimeZone()) {
+  const from = parseRangeTime(query.from, "from", timeZone);
+  const to = parseRangeTime(query.to, "to", timeZone);
+  if (to <= from) throw optionError("The range must end after it starts");
+  if ((to - from) / 86400000 > MAX_RANGE_DAYS) {
+    throw optionError(`Ranges are limited to ${MAX_RANGE_DAYS} days`);
+  }
+
+  const resolution = query.resolution || null;
+  if (resolution && !RESOLUTIONS.includes(resolution)) {
+    throw optionError(
+      `Invalid resolution: ${resolution}. Use ${RESOLUTIONS.join(" or ")}.`,
+    );
+  }
+
+  let fields = null;
+  if (query.fields !== undefined && query.fields !== "") {
+    fields = []
+      .concat(query.fields)
+      .flatMap((value) => String(value).split(","))
+      .map((value) => value.trim())
+      .filter(Boolean);
+    const invalid = fields.find((field) => !/^[A-Za-z]\w*$/.test(field));
+    if (invalid) throw optionError(`Invalid field name: ${invalid}`);
+  }
+
+  return {
+    from,
+    to,
+    resolution,
+    fields,
+    offset: parseInteger(query.offset, "offset", 0, 0, Number.MAX_SAFE_INTEGER),
+    limit: parseInteger(query.limit, "limit", DEFAULT_LIMIT, 1, MAX_LIMIT),
+  };
+}
+
+/**
+ * Market dates in `timeZone` touched by [from, to)
+ */
+function rangeDates(from, to, timeZone = getDefaultTimeZone()) {
+  const dates = [];
+  let date = dateInTimeZone(from, timeZone);
+  while (zonedTimeToDate(date, "00:00", timeZone) < to) {
+    dates.push(date);
+    date = addDays(date, 1);
+  }
+  return dates;
+}
+
+function numericFields(entries) {
+  const names = new Set();
+  for (const entry of entries) {
+    for (const [name, value] of Object.entries(entry || {})) {
+      if (typeof value === "number") names.add(name);
+    }
+  }
+  return [...names];
+}
+
+/**
+ * One day's slots at its own resolution, projected to `fields` when given
+ */
+function dayRows(day, fields) {
+  return toSlotSeries([day]).map((slot) => {
+    if (!fields) {
+      return { date: day.priceDate, ...slot.entry, endTime: slot.endTime };
+    }
+    const row = {
+      date: day.priceDate,
+      startTime: slot.entry.startTime,
+      endTime: slot.endTime,
+    };
+    for (const field of fields) row[field] = slot.entry[field] ?? null;
+    return row;
+  });
+}
+
+/**
+ * One day's numeric fields converted to `resolution`. Prices are averaged
+ * into hours and repeated into quarter hours; times are written in
+ * `timeZone`.
+ */
+function convertDay(day, resolution, fields, decimals, timeZone) {
+  const slots = toSlotSeries([day]);
+  const names = fields || numericFields(slots.map((slot) => slot.entry));
+  const step = RESOLUTION_MS[resolution];
+  const rows = new Map(); // aligned start time in ms -> row
+  for (const name of names) {
+    const points = slots
+      .filter((slot) => Number.isFinite(slot.entry[name]))
+      .map((slot) => ({
+        start: slot.entry.startTime,
+        end: slot.endTime,
+        value: slot.entry[name],
+      }));
+    const series = normalizeSeries({
+      points,
+      targetInterval: resolution,
+      splitValue: false,
+    });
+    for (const point of series) {
+      // A bucket may start late when its first slot has no value
+      const key = Math.floor(new Date(point.start).getTime() / step) * step;
+      const row = rows.get(key) || {
+        date: day.priceDate,
+        startTime: formatInTimeZone(new Date(key), timeZone),
+        endTime: formatInTimeZone(new Date(key + step), timeZone),
+      };
+      row[name] = roundPrice(point.value, decimals);
+      rows.set(key, row);
+    }
+  }
+  const result = [...rows.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([, row]) => row);
+  for (const row of result) {
+    for (const name of names) row[name] = row[name] ?? null;
+  }
+  return result;
+}
+
+/**
+ * Slots of the price objects that start inside [from, to), time-ordered
+ */
+function buildPriceRange(days, options = {}) {
+  const {
+    from,
+    to,
+    resolution = null,
+    fields = null,
+    decimals = 4,
+    timeZone = getDefaultTimeZone(),
+  } = options;
+  const slots = [];
+  for (const day of days) {
+    if (!day || !Array.isArray(day.hourly)) continue;
+    const rows = resolution
+      ? convertDay(day, resolution, fields, decimals, timeZone)
+      : dayRows(day, fields);
+    for (const row of rows) {
+      const start = new Date(row.startTime);
+      if (start >= from && start < to) slots.push(row);
+    }
+  }
+  return slots.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+}
+
+/**
+ * Resolve a range query against a day loader (`date => priceData | null`).
+ * The result lists the dates without cached prices and, unless `paginate`
+ * is false, one page of slots with the offset of the next page. Dates are
+ * market dates in `timeZone` (default: the server's).
+ */
+async function queryPriceRange(query, loadDay, settings = {}) {
+  const {
+    decimals = 4,
+    paginate = true,
+    timeZone = getDefaultTimeZone(),
+  } = settings;
+  const options = parseRangeOptions(query, timeZone);
+  const days = [];
+  const missingDates = [];
+  for (const date of rangeDates(options.from, options.to, timeZone)) {
+    const day = await loadDay(date);
+    if (day) {
+      days.push(day);
+    } else {
+      missingDates.push(date);
+    }
+  }
+  const slots = buildPriceRange(days, { ...options, decimals, timeZone });
+
+  const result = {
+    from: options.from.toISOString(),
+    to: options.to.toISOString(),
+    resolution: options.resolution,
+    fields: options.fields,
+    missingDates,
+    total: slots.length,
+  };
+  if (!paginate) return { ...result, slots };
+  const page = slots.slice(options.offset, options.offset + options.limit);
+  const nextOffset = options.offset + page.length;
+  return {
+    ...result,
+    offset: options.offset,
+    limit: options.limit,
+    nextOffset: nextOffset < slots.length ? nextOffset : null,
+    slots: page,
+  };
+}
+
+module.exports = {
+  RESOLUTIONS,
+  MAX_RANGE_DAYS,
+  parseRangeTime,
+  parseRangeOptions,
+  rangeDates,
+  dayRows,
+  buildPriceRange,
+  queryPriceRange,
+};
@@ -1,6 +1,12 @@
 const { parseISO, formatISO } = require("date-fns");
 
-function normalizeSeries({ points, targetInterval }) {
+/**
+ * Convert `{ start, end, value }` points to `targetInterval` ('1h' or '15m').
+ * Hourly points are averaged. When expanding to quarter hours the value is
+ * split across the slices; pass `splitValue: false` for rates such as prices,
+ * which keep their value in every slice.
+ */
+function normalizeSeries({ points, targetInterval, splitValue = true }) {
   if (!Array.isArray(points) || points.length === 0) {
     return [];
   }
@@ -35,7 +41,7 @@ function normalizeSeries({ points, targetInterval }) {
     if (sourceInterval === "15m") {
       return sorted;
     }
-    return expandToQuarterHour(sorted);
+    return expandToQuarterHour(sorted, splitValue);
   }
 
   return sorted;
@@ -100,7 +106,7 @@ function aggregateToHourly(points) {
     }));
 }
 
-function expandToQuarterHour(points) {
+function expandToQuarterHour(points, splitValue = true) {
   const expanded = [];
 
   for (const point of points) {
@@ -110,7 +116,7 @@ function expandToQuarterHour(points) {
       ? Math.max(15, Math.round((baseEnd - baseStart) / 60000))
       : 60;
     const slices = Math.max(1, Math.round(durationMinutes / 15));
-    const sliceValue = point.value / slices;
+    const sliceValue = splitValue ? point.value / slices : point.value;
 
     for (let index = 0; index < slices; index++) {
       const sliceStart = new Date(baseStart);
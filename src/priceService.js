@@ -1,4 +1,11 @@
 const { skewDays } = require("../utils/util");
+const { getDefaultTimeZone, zonedTimeToDate } = require("../utils/timezone");
+const {
+  toSlotSeries,
+  resolveTime,
+  findCheapestWindow,
+  selectCheapestSlots,
+} = require("./priceSlots");
 const EventEmitter = require("events");
 
 // Define parseJsonSafely locally within this module
@@ -95,12 +102,15 @@ class PriceService {
 
     this.priceTopic = this.config.priceTopic || "elwiz/prices";
     this.debug = this.config.debug || false;
+    // Market time zone: decides which cached day is today and when it rolls over
+    this.timezone = this.config.timezone || getDefaultTimeZone();
 
     // Internal state
     this.twoDaysData = []; // Holds up to two most recent, unique-by-date, price data objects
     this.dayPrices = { priceDate: null, hourly: [], daily: {} };
     this.nextDayPrices = { priceDate: null, hourly: [], daily: {} };
     this.prevDayPrices = { priceDate: null, hourly: [], daily: {} }; // Optional, but good for context
+    this.forecastPrices = null; // Provisional next-day curve until the real prices arrive
     this.nextDayAvailable = false;
     this.newDataAvailable = false;
 
@@ -131,7 +141,13 @@ class PriceService {
     });
 
     this.mqttClient.on("message", (msgTopic, message) => {
-      if (msgTopic.startsWith(this.priceTopic)) {
+      if (this._isForecastTopic(msgTopic)) {
+        this._handleForecastMessage(msgTopic, message);
+        return;
+      }
+      // Other data (e.g. capacity status) shares the topic tree; only
+      // <priceTopic>/<YYYY-MM-DD> carries price objects
+      if (this._isPriceDataTopic(msgTopic)) {
         if (message.length === 0) {
           if (this.debug)
             this.logger.info(
@@ -207,6 +223,41 @@ class PriceService {
     });
   }
 
+  _isPriceDataTopic(topic) {
+    const prefix = `${this.priceTopic}/`;
+    return (
+      topic.startsWith(prefix) &&
+      /^\d{4}-\d{2}-\d{2}$/.test(topic.slice(prefix.length))
+    );
+  }
+
+  _isForecastTopic(topic) {
+    const prefix = `${this.priceTopic}/forecast/`;
+    return (
+      topic.startsWith(prefix) &&
+      /^\d{4}-\d{2}-\d{2}$/.test(topic.slice(prefix.length))
+    );
+  }
+
+  /**
+   * A retained forecast replaces the current one; an empty message clears it
+   */
+  _handleForecastMessage(msgTopic, message) {
+    const priceDate = msgTopic.slice(-10);
+    if (message.length === 0) {
+      this.clearForecast(priceDate);
+      return;
+    }
+    const result = parseJsonSafely(message, this.logger);
+    if (result.error || !Array.isArray(result.data?.hourly)) {
+      this.logger.error(
+        `[PriceService] Error processing forecast message for topic ${msgTopic}. Details: ${result.message || "Invalid forecast"}`,
+      );
+      return;
+    }
+    this.setForecast(result.data);
+  }
+
   processReceivedPrices() {
     if (this.debug)
       this.logger.info(
@@ -254,9 +305,9 @@ class PriceService {
         `[PriceService] Filtered twoDaysData (max 2 latest distinct days): ${JSON.stringify(this.twoDaysData.map((d) => d.priceDate))}`,
       );
 
-    const todayStr = skewDays(0);
-    const yesterdayStr = skewDays(-1);
-    const tomorrowStr = skewDays(1);
+    const todayStr = skewDays(0, this.timezone);
+    const yesterdayStr = skewDays(-1, this.timezone);
+    const tomorrowStr = skewDays(1, this.timezone);
 
     // Reset current price states before reassignment
     // const oldDayPricesDate = this.dayPrices.priceDate; // For logging or specific checks if needed - removed for now
@@ -349,14 +400,17 @@ class PriceService {
         `  prevDayPrices: ${this.prevDayPrices.priceDate || "None"}`,
       );
     }
-    this.event.emit("newPrices");
+    this.event.emit("newPrices", { region: this.config.regionCode || null });
   }
 
   _scheduleDailyRollover() {
     const now = new Date();
-    const tomorrow = new Date(now);
-    tomorrow.setDate(now.getDate() + 1);
-    tomorrow.setHours(0, 1, 0, 0); // 00:01:00 AM to be safe
+    // 00:01 market time to be safe
+    const tomorrow = zonedTimeToDate(
+      skewDays(1, this.timezone),
+      "00:01",
+      this.timezone,
+    );
 
     const msToMidnight = tomorrow.getTime() - now.getTime();
 
@@ -376,7 +430,7 @@ class PriceService {
   }
 
   performMidnightRollover() {
-    const newTodayStr = skewDays(0); // Get the date for the new day
+    const newTodayStr = skewDays(0, this.timezone); // Get the date for the new day
     if (this.debug) {
       this.logger.info(
         `[PriceService] Midnight Rollover: Running for new date ${newTodayStr}. Triggering price processing.`,
@@ -476,6 +530,116 @@ class PriceService {
   getPreviousPriceDate() {
     return this.prevDayPrices.priceDate;
   }
+
+  /**
+   * Use a forecast for a day whose prices are not yet published
+   */
+  setForecast(forecast) {
+    if (!forecast || !forecast.priceDate) return;
+    this.forecastPrices = { ...forecast, forecast: true };
+    if (this.debug)
+      this.logger.info(
+        `[PriceService] Received forecast for ${forecast.priceDate}.`,
+      );
+  }
+
+  /**
+   * Drop the forecast (only when it is for `priceDate`, if given)
+   */
+  clearForecast(priceDate = null) {
+    if (!this.forecastPrices) return;
+    if (priceDate && this.forecastPrices.priceDate !== priceDate) return;
+    this.forecastPrices = null;
+  }
+
+  /**
+   * The forecast for tomorrow while tomorrow's real prices are missing
+   */
+  getForecast() {
+    const forecast = this.forecastPrices;
+    if (!forecast || this.nextDayAvailable) return null;
+    return forecast.priceDate === skewDays(1, this.timezone) ? forecast : null;
+  }
+
+  /**
+   * Today's and (when published) tomorrow's slots as one time-ordered series.
+   * Until tomorrow is published its forecast stands in, unless
+   * `forecast.useInPlanning` is false; those slots are flagged `forecast`.
+   */
+  getSlots(field = null) {
+    const usesForecast = this.config.forecast?.useInPlanning !== false;
+    const nextDay = this.nextDayAvailable
+      ? this.nextDayPrices
+      : usesForecast
+        ? this.getForecast()
+        : null;
+    return toSlotSeries([this.dayPrices, nextDay], field);
+  }
+
+  /**
+   * The published slot covering `at` (default: now) and the slot after it,
+   * or null when no published prices cover that time
+   */
+  getSlotAt(at = new Date()) {
+    const nextDay = this.nextDayAvailable ? this.nextDayPrices : null;
+    const slots = toSlotSeries([this.prevDayPrices, this.dayPrices, nextDay]);
+    const index = slots.findIndex((slot) => slot.start <= at && at < slot.end);
+    if (index === -1) return null;
+    return { current: slots[index], next: slots[index + 1] || null };
+  }
+
+  /**
+   * The current slot's entry, the next slot's entry and the time left of the
+   * current slot at `at` (default: now), or null without a covering slot
+   */
+  getNow(at = new Date()) {
+    const found = this.getSlotAt(at);
+    if (!found) return null;
+    const { current, next } = found;
+    return {
+      date: current.date,
+      index: current.index,
+      current: current.entry,
+      next: next ? next.entry : null,
+      endsAt: current.endTime,
+      remainingSeconds: Math.max(0, Math.round((current.end - at) / 1000)),
+    };
+  }
+
+  /**
+   * Cheapest contiguous window of `duration` between `from` (default: now)
+   * and `to`, searched across the today/tomorrow boundary
+   */
+  findCheapestWindow({ duration, from = null, to = null, field = null } = {}) {
+    const now = new Date();
+    return findCheapestWindow(this.getSlots(field), {
+      duration,
+      from: resolveTime(from, now, this.timezone) || now,
+      to: resolveTime(to, now, this.timezone),
+    });
+  }
+
+  /**
+   * Cheapest `count` slots (or `duration` worth) between `from` (default: now)
+   * and `to`, subject to minRun/maxGap/forceOn/maxPrice. The result carries a
+   * boolean schedule per date aligned with `hourly[]`, or is null when the
+   * constraints cannot be met.
+   */
+  selectCheapestSlots({
+    from = null,
+    to = null,
+    field = null,
+    ...options
+  } = {}) {
+    const now = new Date();
+    const start = resolveTime(from, now, this.timezone) || now;
+    return selectCheapestSlots(this.getSlots(field), {
+      ...options,
+      from: start,
+      to: resolveTime(to, now, this.timezone),
+      timeZone: this.timezone,
+    });
+  }
 }
 
 module.exports = PriceService;
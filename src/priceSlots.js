@@ -0,0 +1,537 @@
+/**
+ * ElWiz Prices - Price Slot Helpers
+ *
+ * Small helpers shared by the modules that work on the `hourly[]` entries of a
+ * stored price object (one entry per hour or quarter-hour), plus the slot
+ * series and window search used by the planners.
+ */
+
+const {
+  addDays,
+  clockInTimeZone,
+  dateInTimeZone,
+  zonedTimeToDate,
+} = require("../utils/timezone");
+
+// Price field used for planning when none is requested: the most complete
+// consumer price available on the entry.
+const DEFAULT_PRICE_FIELDS = ["netPrice", "totalPrice", "spotPrice"];
+
+/**
+ * Error for an invalid search option; the REST layer answers these with 400
+ */
+function optionError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Market wall-clock hour of a slot: on the clock of `timeZone` when given,
+ * otherwise read from the timestamp text, which carries the offset the prices
+ * were fetched with.
+ */
+function getSlotHour(entry, timeZone = null) {
+  if (timeZone) {
+    const date = new Date(entry?.startTime);
+    return Number.isNaN(date.getTime())
+      ? null
+      : clockInTimeZone(date, timeZone).hour;
+  }
+  const match = /T(\d{2}):/.exec(entry?.startTime || "");
+  if (match) return Number(match[1]);
+  const date = new Date(entry?.startTime);
+  return Number.isNaN(date.getTime()) ? null : date.getHours();
+}
+
+/**
+ * Market calendar date (YYYY-MM-DD) of a slot, in `timeZone` when given,
+ * otherwise read from the timestamp text.
+ */
+function getSlotDate(entry, timeZone = null) {
+  if (timeZone) {
+    const date = new Date(entry?.startTime);
+    return Number.isNaN(date.getTime()) ? null : dateInTimeZone(date, timeZone);
+  }
+  const match = /^(\d{4}-\d{2}-\d{2})/.exec(entry?.startTime || "");
+  return match ? match[1] : null;
+}
+
+function roundPrice(value, decimals = 4) {
+  if (!Number.isFinite(value)) return value;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Min, max and average of a numeric slot field, plus the averages inside
+ * (peak) and outside (off-peak) the configured day hours, on the clock of
+ * `options.timeZone`.
+ */
+function summarizePrices(entries, field, options = {}) {
+  const dayHoursStart = options.dayHoursStart ?? 6;
+  const dayHoursEnd = options.dayHoursEnd ?? 22;
+  const decimals = options.decimals ?? 4;
+
+  const values = [];
+  const peak = [];
+  const offPeak = [];
+  for (const entry of entries || []) {
+    const value = Number(entry?.[field]);
+    if (!Number.isFinite(value)) continue;
+    values.push(value);
+    const hour = getSlotHour(entry, options.timeZone);
+    if (hour !== null && hour >= dayHoursStart && hour < dayHoursEnd) {
+      peak.push(value);
+    } else {
+      offPeak.push(value);
+    }
+  }
+
+  const average = (list) =>
+    list.length
+      ? roundPrice(list.reduce((sum, v) => sum + v, 0) / list.length, decimals)
+      : null;
+
+  return {
+    min: values.length ? roundPrice(Math.min(...values), decimals) : null,
+    max: values.length ? roundPrice(Math.max(...values), decimals) : null,
+    avg: average(values),
+    peak: average(peak),
+    offPeak: average(offPeak),
+  };
+}
+
+/**
+ * Price of a slot entry: the requested field, or the first default field present
+ */
+function getSlotPrice(entry, field = null) {
+  const fields = field ? [field] : DEFAULT_PRICE_FIELDS;
+  for (const name of fields) {
+    const value = Number(entry?.[name]);
+    if (entry?.[name] !== undefined && entry[name] !== null) {
+      return Number.isFinite(value) ? value : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Duration in minutes from '3h', '90m', '1h30m', '15min' or a number of hours
+ */
+function parseDuration(value) {
+  if (typeof value === "number") {
+    return value > 0 ? Math.round(value * 60) : null;
+  }
+  const text = String(value || "")
+    .trim()
+    .toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(text)) return parseDuration(Number(text));
+  const match = /^(?:(\d+(?:\.\d+)?)h)?\s*(?:(\d+)m(?:in)?)?$/.exec(text);
+  if (!match || (!match[1] && !match[2])) return null;
+  const minutes = Math.round(
+    Number(match[1] || 0) * 60 + Number(match[2] || 0),
+  );
+  return minutes > 0 ? minutes : null;
+}
+
+/**
+ * Resolve a time argument to a Date. Accepts Date objects, ISO timestamps and
+ * 'HH:mm' (the next occurrence after `reference`, on the clock of `timeZone`
+ * when given, otherwise the server's).
+ */
+function resolveTime(value, reference = new Date(), timeZone = null) {
+  if (value === undefined || value === null || value === "") return null;
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+  const clock = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (clock && timeZone) {
+    const today = dateInTimeZone(reference, timeZone);
+    const date = zonedTimeToDate(today, `${clock[1]}:${clock[2]}`, timeZone);
+    return date <= reference
+      ? zonedTimeToDate(addDays(today, 1), `${clock[1]}:${clock[2]}`, timeZone)
+      : date;
+  }
+  if (clock) {
+    const date = new Date(reference);
+    date.setHours(Number(clock[1]), Number(clock[2]), 0, 0);
+    if (date <= reference) date.setDate(date.getDate() + 1);
+    return date;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Flatten price objects into one time-ordered slot series. Each slot keeps a
+ * reference to its entry and its position in that day's `hourly[]`, and an
+ * `endTime` label in the same format as the entries' `startTime`. Slots of a
+ * forecast day are flagged so results built on them can be marked provisional.
+ */
+function toSlotSeries(days, field = null) {
+  const slots = [];
+  for (const day of days) {
+    if (!day || !Array.isArray(day.hourly)) continue;
+    day.hourly.forEach((entry, index) => {
+      const start = new Date(entry.startTime);
+      if (Number.isNaN(start.getTime())) return;
+      slots.push({
+        date: day.priceDate,
+        index,
+        start,
+        end: entry.endTime ? new Date(entry.endTime) : null,
+        endTime: entry.endTime || null,
+        price: getSlotPrice(entry, field),
+        forecast: Boolean(day.forecast),
+        entry,
+      });
+    });
+  }
+  slots.sort((a, b) => a.start - b.start);
+
+  // Fill missing end times from the next slot (or the previous slot length)
+  slots.forEach((slot, i) => {
+    if (slot.end && !Number.isNaN(slot.end.getTime())) return;
+    const next = slots[i + 1];
+    const previous = slots[i - 1];
+    if (next) {
+      slot.end = next.start;
+      slot.endTime = next.entry.startTime;
+    } else if (previous) {
+      slot.end = new Date(
+        slot.start.getTime() + (previous.end - previous.start),
+      );
+    } else {
+      slot.end = new Date(slot.start.getTime() + 3600000);
+    }
+    slot.endTime = slot.endTime || slot.end.toISOString();
+  });
+  return slots;
+}
+
+/**
+ * Slots inside [from, to). A slot that is running at `from` is included so a
+ * search starting "now" can use the current slot.
+ */
+function slotsInRange(slots, from = null, to = null) {
+  return slots.filter(
+    (slot) => (!from || slot.end > from) && (!to || slot.end <= to),
+  );
+}
+
+/**
+ * Cheapest (or with `highest`, most expensive) contiguous block of slots
+ * covering `duration` within [from, to). Returns null when the range holds
+ * no complete block.
+ */
+function findPriceWindow(slots, options = {}) {
+  const durationMinutes = parseDuration(options.duration);
+  if (!durationMinutes) {
+    throw optionError(`Invalid duration: ${options.duration}`);
+  }
+  const candidates = slotsInRange(slots, options.from, options.to);
+
+  let best = null;
+  for (let i = 0; i < candidates.length; i++) {
+    let covered = 0;
+    let sum = 0;
+    let j = i;
+    for (; j < candidates.length && covered < durationMinutes; j++) {
+      const slot = candidates[j];
+      // Blocks must be contiguous and fully priced
+      if (j > i && slot.start.getTime() !== candidates[j - 1].end.getTime()) {
+        break;
+      }
+      if (slot.price === null) break;
+      const minutes = (slot.end - slot.start) / 60000;
+      covered += minutes;
+      sum += slot.price * minutes;
+    }
+    if (covered < durationMinutes) continue;
+    const average = sum / covered;
+    if (
+      !best ||
+      (options.highest ? average > best.average : average < best.average)
+    ) {
+      best = { from: i, to: j, average };
+    }
+  }
+
+  if (!best) return null;
+  const window = candidates.slice(best.from, best.to);
+  return {
+    start: window[0].entry.startTime,
+    end: window[window.length - 1].endTime,
+    durationMinutes,
+    avgPrice: roundPrice(best.average),
+    provisional: window.some((slot) => slot.forecast),
+    slots: window.map((slot) => ({
+      date: slot.date,
+      index: slot.index,
+      startTime: slot.entry.startTime,
+      price: slot.price,
+    })),
+  };
+}
+
+function findCheapestWindow(slots, options = {}) {
+  return findPriceWindow(slots, { ...options, highest: false });
+}
+
+function findMostExpensiveWindow(slots, options = {}) {
+  return findPriceWindow(slots, { ...options, highest: true });
+}
+
+/**
+ * Length in minutes of the shortest slot in a series (60 when empty)
+ */
+function slotMinutes(slots) {
+  let minutes = Infinity;
+  for (const slot of slots) {
+    minutes = Math.min(minutes, (slot.end - slot.start) / 60000);
+  }
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 60;
+}
+
+/**
+ * Convert a duration option to a number of slots. `round` picks how partial
+ * slots count: up for amounts that must be covered, down for limits.
+ */
+function durationToSlots(value, minutesPerSlot, name, round = Math.ceil) {
+  if (value === undefined || value === null || value === "") return null;
+  if (/^0+(\.0+)?\s*(h|m|min)?$/i.test(String(value).trim())) return 0;
+  const minutes = parseDuration(value);
+  if (!minutes) throw optionError(`Invalid ${name}: ${value}`);
+  return round(minutes / minutesPerSlot);
+}
+
+/**
+ * Pick the cheapest `count` slots (or enough slots to cover `duration`) in
+ * [from, to), not necessarily contiguous. Constraints:
+ *
+ * - minRun: every run of selected slots lasts at least this long
+ * - maxGap: at most this long between two runs
+ * - forceOn: times whose slots must be selected (they count towards the total)
+ * - maxPrice: slots above this price are never picked unless forced
+ *
+ * `timeZone` is the clock 'HH:mm' forceOn times are read on.
+ *
+ * Solved exactly with dynamic programming over (slot, picked, run/gap state).
+ * Returns null when the constraints cannot be met.
+ */
+function selectCheapestSlots(slots, options = {}) {
+  const candidates = slotsInRange(slots, options.from, options.to);
+  const minutesPerSlot = slotMinutes(candidates);
+
+  let count;
+  if (options.count !== undefined && options.count !== null) {
+    count = Number(options.count);
+    if (!Number.isInteger(count) || count < 0) {
+      throw optionError(`Invalid count: ${options.count}`);
+    }
+  } else {
+    count = durationToSlots(options.duration, minutesPerSlot, "duration");
+    if (count === null) throw optionError("Either count or duration is needed");
+  }
+  const minRun = Math.max(
+    1,
+    durationToSlots(options.minRun, minutesPerSlot, "minRun") || 1,
+  );
+  const maxGap = durationToSlots(
+    options.maxGap,
+    minutesPerSlot,
+    "maxGap",
+    Math.floor,
+  );
+  const maxPrice =
+    options.maxPrice === undefined || options.maxPrice === null
+      ? null
+      : Number(options.maxPrice);
+  if (maxPrice !== null && !Number.isFinite(maxPrice)) {
+    throw optionError(`Invalid maxPrice: ${options.maxPrice}`);
+  }
+
+  const forced = new Set();
+  for (const value of [].concat(options.forceOn || [])) {
+    const time = resolveTime(
+      value,
+      options.from || new Date(),
+      options.timeZone,
+    );
+    if (!time) throw optionError(`Invalid forceOn time: ${value}`);
+    const index = candidates.findIndex(
+      (slot) => slot.start <= time && time < slot.end,
+    );
+    if (index === -1) {
+      throw optionError(`forceOn time ${value} is outside the search range`);
+    }
+    forced.add(index);
+  }
+  if (count > candidates.length || forced.size > count) return null;
+
+  // States: 0 = idle (before the first run), 1..minRun = on with that run
+  // length (minRun meaning "at least"), then the gap states and finally
+  // "done" once the gap limit is used up and no further run may start.
+  const gapStates = maxGap === null ? 1 : maxGap;
+  const ON = 1;
+  const GAP = ON + minRun;
+  const DONE = GAP + gapStates;
+  const stateCount = DONE + 1;
+  const width = (count + 1) * stateCount;
+
+  let cost = new Float64Array(width).fill(Infinity);
+  cost[0] = 0; // k = 0, idle
+  const parents = [];
+
+  for (let i = 0; i < candidates.length; i++) {
+    const slot = candidates[i];
+    const isForced = forced.has(i);
+    const canPick =
+      isForced ||
+      (slot.price !== null && (maxPrice === null || slot.price <= maxPrice));
+    const price = slot.price ?? 0;
+    const next = new Float64Array(width).fill(Infinity);
+    const parent = new Int32Array(width).fill(-1);
+
+    const relax = (k, state, value, from) => {
+      const at = k * stateCount + state;
+      if (value < next[at]) {
+        next[at] = value;
+        parent[at] = from;
+      }
+    };
+
+    for (let k = 0; k <= count; k++) {
+      for (let state = 0; state < stateCount; state++) {
+        const from = k * stateCount + state;
+        const current = cost[from];
+        if (current === Infinity) continue;
+
+        if (canPick && k < count && state !== DONE) {
+          const run = state >= ON && state < GAP ? state - ON + 1 : 0;
+          relax(
+            k + 1,
+            ON + Math.min(run + 1, minRun) - 1,
+            current + price,
+            from,
+          );
+        }
+        if (isForced) continue;
+
+        if (state === 0 || state === DONE) {
+          relax(k, state, current, from);
+        } else if (state < GAP) {
+          // A run may only end once it is long enough
+          if (state === GAP - 1) {
+            relax(k, maxGap === 0 ? DONE : GAP, current, from);
+          }
+        } else if (maxGap === null) {
+          relax(k, GAP, current, from);
+        } else {
+          const gap = state - GAP + 1;
+          relax(k, gap < maxGap ? state + 1 : DONE, current, from);
+        }
+      }
+    }
+    cost = next;
+    parents.push(parent);
+  }
+
+  // Best end state with every slot picked and no run cut short
+  let best = -1;
+  for (let state = 0; state < stateCount; state++) {
+    if (state >= ON && state < GAP - 1) continue;
+    const at = count * stateCount + state;
+    if (cost[at] < Infinity && (best === -1 || cost[at] < cost[best])) {
+      best = at;
+    }
+  }
+  if (best === -1) return null;
+
+  const picked = new Array(candidates.length).fill(false);
+  for (let i = candidates.length - 1, at = best; i >= 0; i--) {
+    const from = parents[i][at];
+    picked[i] = Math.floor(from / stateCount) < Math.floor(at / stateCount);
+    at = from;
+  }
+  return describeSelection(slots, candidates, picked, minutesPerSlot);
+}
+
+/**
+ * Shape a slot selection: the picked slots, their runs, and a boolean
+ * schedule per date aligned with that day's `hourly[]`
+ */
+function describeSelection(slots, candidates, picked, minutesPerSlot) {
+  const schedule = {};
+  for (const slot of slots) {
+    const day = (schedule[slot.date] = schedule[slot.date] || []);
+    while (day.length <= slot.index) day.push(false);
+  }
+
+  const selected = [];
+  const runs = [];
+  let weighted = 0;
+  let minutes = 0;
+  let provisional = false;
+  candidates.forEach((slot, i) => {
+    if (!picked[i]) return;
+    provisional = provisional || slot.forecast;
+    schedule[slot.date][slot.index] = true;
+    selected.push({
+      date: slot.date,
+      index: slot.index,
+      startTime: slot.entry.startTime,
+      price: slot.price,
+    });
+    const slotLength = (slot.end - slot.start) / 60000;
+    if (slot.price !== null) {
+      weighted += slot.price * slotLength;
+      minutes += slotLength;
+    }
+    const run = runs[runs.length - 1];
+    if (
+      run &&
+      picked[i - 1] &&
+      run.endDate.getTime() === slot.start.getTime()
+    ) {
+      run.end = slot.endTime;
+      run.endDate = slot.end;
+    } else {
+      runs.push({
+        start: slot.entry.startTime,
+        end: slot.endTime,
+        endDate: slot.end,
+      });
+    }
+  });
+
+  return {
+    count: selected.length,
+    slotMinutes: minutesPerSlot,
+    avgPrice: minutes ? roundPrice(weighted / minutes) : null,
+    provisional,
+    runs: runs.map(({ start, end }) => ({ start, end })),
+    slots: selected,
+    schedule,
+  };
+}
+
+module.exports = {
+  DEFAULT_PRICE_FIELDS,
+  optionError,
+  getSlotHour,
+  getSlotDate,
+  getSlotPrice,
+  roundPrice,
+  summarizePrices,
+  parseDuration,
+  resolveTime,
+  toSlotSeries,
+  slotsInRange,
+  slotMinutes,
+  findPriceWindow,
+  findCheapestWindow,
+  findMostExpensiveWindow,
+  selectCheapestSlots,
+};
@@ -0,0 +1,204 @@
+/**
+ * ElWiz Prices - Price Statistics
+ *
+ * Rollup helpers for the long-range statistics. Each rollup keeps one
+ * accumulator per day and price field (count, sum, sum of squares, min, max
+ * and peak/off-peak sums), so re-recording a day replaces its contribution
+ * instead of counting it twice. Summaries are computed when read.
+ */
+
+const { getSlotHour, roundPrice } = require("./priceSlots");
+
+const PERIODS = ["daily", "weekly", "monthly", "yearly"];
+const DEFAULT_FIELDS = ["spotPrice", "totalPrice", "netPrice"];
+
+function toUtcDate(dateStr) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * ISO 8601 week key (YYYY-Www) for a date
+ */
+function isoWeekKey(dateStr) {
+  const date = toUtcDate(dateStr);
+  const weekday = date.getUTCDay() || 7; // Monday = 1, Sunday = 7
+  date.setUTCDate(date.getUTCDate() + 4 - weekday); // Thursday of the week
+  const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+  return `${date.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+/**
+ * Rollup key of the period holding a date: 2025-10-15, 2025-W42, 2025-10, 2025
+ */
+function periodKey(period, dateStr) {
+  switch (period) {
+    case "daily":
+      return dateStr;
+    case "weekly":
+      return isoWeekKey(dateStr);
+    case "monthly":
+      return dateStr.slice(0, 7);
+    case "yearly":
+      return dateStr.slice(0, 4);
+    default:
+      throw new Error(`Unknown statistics period: ${period}`);
+  }
+}
+
+/**
+ * Key of the period before the one holding `dateStr`
+ */
+function previousPeriodKey(period, dateStr) {
+  const date = toUtcDate(dateStr);
+  switch (period) {
+    case "daily":
+      date.setUTCDate(date.getUTCDate() - 1);
+      break;
+    case "weekly":
+      date.setUTCDate(date.getUTCDate() - 7);
+      break;
+    case "monthly":
+      date.setUTCDate(1);
+      date.setUTCMonth(date.getUTCMonth() - 1);
+      break;
+    case "yearly":
+      date.setUTCFullYear(date.getUTCFullYear() - 1);
+      break;
+    default:
+      throw new Error(`Unknown statistics period: ${period}`);
+  }
+  return periodKey(period, date.toISOString().slice(0, 10));
+}
+
+const PERIOD_KEY_PATTERNS = {
+  daily: /^\d{4}-\d{2}-\d{2}$/,
+  weekly: /^\d{4}-W\d{2}$/,
+  monthly: /^\d{4}-\d{2}$/,
+  yearly: /^\d{4}$/,
+};
+
+function isValidPeriodKey(period, key) {
+  return Boolean(PERIOD_KEY_PATTERNS[period]?.test(key || ""));
+}
+
+function createAccumulator() {
+  return {
+    count: 0,
+    sum: 0,
+    sumSq: 0,
+    min: null,
+    max: null,
+    peakSum: 0,
+    peakCount: 0,
+    offPeakSum: 0,
+    offPeakCount: 0,
+  };
+}
+
+/**
+ * Accumulators for one price object, one per field that has values. Peak
+ * hours are read on the clock of `options.timeZone` when given.
+ */
+function accumulateDay(priceData, options = {}) {
+  const fields = options.fields || DEFAULT_FIELDS;
+  const dayHoursStart = options.dayHoursStart ?? 6;
+  const dayHoursEnd = options.dayHoursEnd ?? 22;
+
+  const result = {};
+  for (const field of fields) {
+    const acc = createAccumulator();
+    for (const entry of priceData?.hourly || []) {
+      const value = Number(entry?.[field]);
+      if (entry?.[field] === null || !Number.isFinite(value)) continue;
+      acc.count += 1;
+      acc.sum += value;
+      acc.sumSq += value * value;
+      acc.min = acc.min === null ? value : Math.min(acc.min, value);
+      acc.max = acc.max === null ? value : Math.max(acc.max, value);
+      const hour = getSlotHour(entry, options.timeZone);
+      if (hour !== null && hour >= dayHoursStart && hour < dayHoursEnd) {
+        acc.peakSum += value;
+        acc.peakCount += 1;
+      } else {
+        acc.offPeakSum += value;
+        acc.offPeakCount += 1;
+      }
+    }
+    if (acc.count) result[field] = acc;
+  }
+  return result;
+}
+
+function mergeAccumulators(list) {
+  const merged = createAccumulator();
+  for (const acc of list) {
+    merged.count += acc.count;
+    merged.sum += acc.sum;
+    merged.sumSq += acc.sumSq;
+    merged.min = merged.min === null ? acc.min : Math.min(merged.min, acc.min);
+    merged.max = merged.max === null ? acc.max : Math.max(merged.max, acc.max);
+    merged.peakSum += acc.peakSum;
+    merged.peakCount += acc.peakCount;
+    merged.offPeakSum += acc.offPeakSum;
+    merged.offPeakCount += acc.offPeakCount;
+  }
+  return merged;
+}
+
+/**
+ * Summary of a stored rollup record `{ period, key, region, days }`. The
+ * volatility is the standard deviation of the slot prices.
+ */
+function summarizeRollup(record, decimals = 4) {
+  const dates = Object.keys(record.days || {}).sort();
+  const byField = {};
+  for (const date of dates) {
+    for (const [field, acc] of Object.entries(record.days[date])) {
+      (byField[field] = byField[field] || []).push(acc);
+    }
+  }
+
+  const fields = {};
+  for (const [field, list] of Object.entries(byField)) {
+    const acc = mergeAccumulators(list);
+    const avg = acc.sum / acc.count;
+    const variance = Math.max(0, acc.sumSq / acc.count - avg * avg);
+    fields[field] = {
+      avg: roundPrice(avg, decimals),
+      min: roundPrice(acc.min, decimals),
+      max: roundPrice(acc.max, decimals),
+      peak: acc.peakCount
+        ? roundPrice(acc.peakSum / acc.peakCount, decimals)
+        : null,
+      offPeak: acc.offPeakCount
+        ? roundPrice(acc.offPeakSum / acc.offPeakCount, decimals)
+        : null,
+      volatility: roundPrice(Math.sqrt(variance), decimals),
+      slots: acc.count,
+    };
+  }
+
+  return {
+    period: record.period,
+    key: record.key,
+    region: record.region,
+    from: dates[0] || null,
+    to: dates[dates.length - 1] || null,
+    days: dates.length,
+    fields,
+  };
+}
+
+module.exports = {
+  PERIODS,
+  DEFAULT_FIELDS,
+  isoWeekKey,
+  periodKey,
+  previousPeriodKey,
+  isValidPeriodKey,
+  accumulateDay,
+  mergeAccumulators,
+  summarizeRollup,
+};
@@ -0,0 +1,184 @@
+/**
+ * ElWiz Prices - Price Stream
+ *
+ * Server-Sent Events for dashboards. Clients get
+ *
+ * - `prices` when a price service processes new prices (`newPrices`)
+ * - `tomorrow` when a region's next-day prices become available
+ * - `slot` when the current slot changes at an hour or quarter-hour boundary
+ *   (and once on connect)
+ *
+ * plus heartbeat comments. Timers only run while clients are connected.
+ */
+
+const EVENT_TYPES = ["prices", "tomorrow", "slot"];
+const RETRY_MS = 5000;
+const IDLE_CHECK_MS = 60000; // Slot check interval while no slot is covered
+const BOUNDARY_DELAY_MS = 50; // Let the boundary pass before reading slots
+
+class PriceStream {
+  /**
+   * `getServices()` returns the streamed `[{ region, service }]`; `events` is
+   * the emitter the price services report `newPrices` on
+   */
+  constructor({ events = null, getServices, heartbeatSeconds = 15 } = {}) {
+    this.getServices = getServices;
+    this.heartbeatMs = Math.max(1, Number(heartbeatSeconds) || 15) * 1000;
+    this.clients = new Set(); // { res, types, regions }
+    this.lastSlots = new Map(); // region -> start time of the announced slot
+    this.nextDates = new Map(); // region -> announced next-day date
+    this.heartbeatTimer = null;
+    this.slotTimer = null;
+    this.events = events;
+    this.onNewPrices = (payload = {}) => this._handleNewPrices(payload);
+    if (events) events.on("newPrices", this.onNewPrices);
+  }
+
+  /**
+   * Open an event stream on `res`. `types` and `regions` are arrays, or
+   * null for everything.
+   */
+  addClient(req, res, { types = null, regions = null } = {}) {
+    res.status(200).set({
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { res, types, regions };
+    this.clients.add(client);
+    req.on("close", () => this._removeClient(client));
+
+    if (this._wants(client, "slot")) {
+      for (const { region, service } of this.getServices()) {
+        const now = service.getNow();
+        if (now && this._matchesRegion(client, region)) {
+          this._send(client, "slot", { region, ...now });
+        }
+      }
+    }
+    this._start();
+  }
+
+  /**
+   * End all streams and stop the timers
+   */
+  close() {
+    for (const client of this.clients) client.res.end();
+    this.clients.clear();
+    this._stop();
+    if (this.events) this.events.off("newPrices", this.onNewPrices);
+  }
+
+  _removeClient(client) {
+    this.clients.delete(client);
+    if (!this.clients.size) this._stop();
+  }
+
+  _wants(client, type) {
+    return !client.types || client.types.includes(type);
+  }
+
+  _matchesRegion(client, region) {
+    return !client.regions || client.regions.includes(region);
+  }
+
+  _send(client, type, data) {
+    client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  _broadcast(type, region, data) {
+    for (const client of this.clients) {
+      if (this._wants(client, type) && this._matchesRegion(client, region)) {
+        this._send(client, type, data);
+      }
+    }
+  }
+
+  _start() {
+    if (!this.heartbeatTimer) {
+      this.heartbeatTimer = setInterval(() => {
+        for (const client of this.clients) client.res.write(": heartbeat\n\n");
+      }, this.heartbeatMs);
+    }
+    if (!this.slotTimer) {
+      // Only announce changes from here on
+      for (const { region, service } of this.getServices()) {
+        this.lastSlots.set(region, this._slotStart(service));
+        this.nextDates.set(region, service.getNextPriceDate());
+      }
+      this._scheduleSlotCheck();
+    }
+  }
+
+  _stop() {
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.slotTimer);
+    this.heartbeatTimer = null;
+    this.slotTimer = null;
+  }
+
+  _slotStart(service) {
+    return service.getSlotAt()?.current.start.getTime();
+  }
+
+  /**
+   * Wake up at the end of the earliest current slot across regions
+   */
+  _scheduleSlotCheck() {
+    clearTimeout(this.slotTimer);
+    const now = Date.now();
+    let delay = IDLE_CHECK_MS;
+    for (const { service } of this.getServices()) {
+      const found = service.getSlotAt(new Date(now));
+      if (found) delay = Math.min(delay, found.current.end.getTime() - now);
+    }
+    this.slotTimer = setTimeout(
+      () => this._checkSlots(),
+      Math.max(0, delay) + BOUNDARY_DELAY_MS,
+    );
+  }
+
+  _checkSlots() {
+    for (const { region, service } of this.getServices()) {
+      const start = this._slotStart(service);
+      const now = service.getNow();
+      if (now && start !== this.lastSlots.get(region)) {
+        this._broadcast("slot", region, { region, ...now });
+      }
+      this.lastSlots.set(region, start);
+    }
+    this._scheduleSlotCheck();
+  }
+
+  _handleNewPrices({ region = null } = {}) {
+    for (const entry of this.getServices()) {
+      if (region && entry.region && entry.region !== region) continue;
+      const { service } = entry;
+      const nextDate = service.getNextPriceDate();
+      this._broadcast("prices", entry.region, {
+        region: entry.region,
+        date: service.getCurrentPriceDate(),
+        nextDate,
+        nextDayAvailable: service.isNextDayAvailable(),
+      });
+      if (nextDate && nextDate !== this.nextDates.get(entry.region)) {
+        this._broadcast("tomorrow", entry.region, {
+          region: entry.region,
+          date: nextDate,
+          daily: service.getNextDaySummary(),
+        });
+      }
+      this.nextDates.set(entry.region, nextDate);
+    }
+    // New prices may start or reshape the slot series
+    if (this.slotTimer) this._scheduleSlotCheck();
+  }
+}
+
+PriceStream.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = PriceStream;
@@ -0,0 +1,59 @@
+/**
+ * ElWiz Prices - Price Versions
+ *
+ * Stored price days carry `contentHash`, a hash of their content that only
+ * changes when the prices do, and `fetchedAt`, when they were fetched. The
+ * REST server turns them into ETag and Last-Modified headers.
+ */
+
+const crypto = require("crypto");
+
+const VERSION_FIELDS = ["contentHash", "fetchedAt"];
+
+/**
+ * JSON with object keys sorted, so equal content gives equal text
+ */
+function stableStringify(value) {
+  return JSON.stringify(value, (_key, val) => {
+    if (val && typeof val === "object" && !Array.isArray(val)) {
+      return Object.keys(val)
+        .sort()
+        .reduce((acc, prop) => {
+          acc[prop] = val[prop];
+          return acc;
+        }, {});
+    }
+    return val;
+  });
+}
+
+/**
+ * Hash of a price day, ignoring its version fields
+ */
+function contentHash(day) {
+  const content = { ...day };
+  for (const field of VERSION_FIELDS) delete content[field];
+  return crypto
+    .createHash("sha256")
+    .update(stableStringify(content))
+    .digest("hex")
+    .slice(0, 32);
+}
+
+/**
+ * A copy of a freshly fetched price day with its version fields set
+ */
+function stampPriceData(day, fetchedAt = new Date()) {
+  if (!day || typeof day !== "object") return day;
+  return {
+    ...day,
+    contentHash: contentHash(day),
+    fetchedAt: fetchedAt.toISOString(),
+  };
+}
+
+module.exports = {
+  stableStringify,
+  contentHash,
+  stampPriceData,
+};
@@ -0,0 +1,45 @@
+/**
+ * ElWiz Prices - Rate Limiter
+ *
+ * Fixed-window request counting per client id (an API key name or an IP
+ * address). Windows that have ended are pruned lazily.
+ */
+
+class RateLimiter {
+  constructor({ windowSeconds = 60 } = {}) {
+    this.windowMs = Math.max(1, Number(windowSeconds) || 60) * 1000;
+    this.windows = new Map(); // id -> { start, count }
+    this.lastPrune = 0;
+  }
+
+  /**
+   * Count a request by `id` against `limit` requests per window:
+   * `{ allowed, limit, remaining, resetSeconds }`
+   */
+  take(id, limit, now = Date.now()) {
+    this._prune(now);
+    let window = this.windows.get(id);
+    if (!window || now - window.start >= this.windowMs) {
+      window = { start: now, count: 0 };
+      this.windows.set(id, window);
+    }
+    const allowed = window.count < limit;
+    if (allowed) window.count += 1;
+    return {
+      allowed,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      resetSeconds: Math.ceil((window.start + this.windowMs - now) / 1000),
+    };
+  }
+
+  _prune(now) {
+    if (now - this.lastPrune < this.windowMs) return;
+    this.lastPrune = now;
+    for (const [id, window] of this.windows) {
+      if (now - window.start >= this.windowMs) this.windows.delete(id);
+    }
+  }
+}
+
+module.exports = RateLimiter;
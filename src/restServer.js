@@ -1,13 +1,122 @@
+const path = require("path");
 const express = require("express");
+const { parseDuration, resolveTime } = require("./priceSlots");
+const { dayRows, queryPriceRange } = require("./priceRange");
+const { toCsv } = require("./priceExport");
+const { buildCalendar, parseCalendarOptions } = require("./priceCalendar");
+const PriceLevels = require("./priceLevels");
+const PriceStream = require("./priceStream");
+const {
+  ROUTE_SPECS,
+  apiParameters,
+  buildOpenApiDocument,
+  validateParameters,
+} = require("./apiSchema");
+const { renderDocsPage } = require("./apiDocsPage");
+const { contentHash } = require("./priceVersion");
+const ApiGuard = require("./apiGuard");
+const { version } = require("../package.json");
+const {
+  addDays,
+  convertTimestamps,
+  dateInTimeZone,
+  formatInTimeZone,
+  getDefaultTimeZone,
+  isValidTimeZone,
+  zonedTimeToDate,
+} = require("../utils/timezone");
+
+// Relative dates accepted wherever a route takes :date
+const DATE_ALIASES = { yesterday: -1, today: 0, tomorrow: 1 };
+// Static files of the dashboard served at /
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+// Cache-Control max-age (seconds) of past days and of today and later
+const DEFAULT_PAST_MAX_AGE = 7 * 86400;
+const DEFAULT_CURRENT_MAX_AGE = 60;
+
+/**
+ * Allowed CORS origins from config: a list or a single origin, bare or as
+ * `{ origins }`. Unset allows any origin ("*") and `false` none. Anything
+ * else is refused rather than read as "*".
+ */
+function parseCorsOrigins(cors) {
+  if (cors === undefined || cors === null) return ["*"];
+  if (cors === false) return [];
+  const origins =
+    cors && typeof cors === "object" && !Array.isArray(cors)
+      ? cors.origins
+      : cors;
+  const list = typeof origins === "string" ? [origins] : origins;
+  if (
+    !Array.isArray(list) ||
+    list.some((origin) => typeof origin !== "string" || !origin)
+  ) {
+    throw new Error(
+      `Invalid cors setting: ${JSON.stringify(cors)}. Use a list of origins, e.g. cors: { origins: ["https://dashboard.example.com"] }`,
+    );
+  }
+  return list;
+}
 
 class RestServer {
-  constructor(port = 3000, priceService = null, cacheAccess = null) {
+  constructor(
+    port = 3000,
+    priceService = null,
+    cacheAccess = null,
+    options = {},
+  ) {
     this.port = port;
     this.priceService = priceService;
+    this.regionPriceServices = new Map(); // region -> PriceService
     this.cacheAccess = cacheAccess;
+    this.capacityAccess = null;
+    this.batteryAccess = null;
+    this.evAccess = null;
+    this.statsAccess = null;
+    this.forecastAccess = null;
+    this.metricsAccess = null;
+    this.adminAccess = null;
+    this.priceStream = null;
+    this.options = options || {};
+    this.regions = Array.isArray(this.options.regions)
+      ? this.options.regions
+      : [];
+    this.timezone = this.options.timezone || getDefaultTimeZone();
+    this.publicationTime = this.options.publicationTime || null; // 'HH:mm'
+    const httpCache = this.options.httpCache || {};
+    this.pastMaxAge = httpCache.pastMaxAge ?? DEFAULT_PAST_MAX_AGE;
+    this.currentMaxAge = httpCache.currentMaxAge ?? DEFAULT_CURRENT_MAX_AGE;
     this.app = express();
     this.basePath = "/api/prices";
     this.server = null;
+    this.routes = []; // { method, path, spec } for the OpenAPI document
+    this.apiParameters = apiParameters({ regions: this.regions });
+    // Optional API keys and rate limits, checked by every route
+    this.guard = new ApiGuard({
+      apiKeys: this.options.apiKeys,
+      rateLimit: this.options.rateLimit,
+    });
+    // Allowed browser origins; "*" allows any
+    this.corsOrigins = parseCorsOrigins(this.options.cors);
+    // Behind a reverse proxy, take the client IP from X-Forwarded-For
+    if (this.options.trustProxy) {
+      this.app.set("trust proxy", this.options.trustProxy);
+    }
+
+    // Request latency, labelled with the matched route pattern
+    this.app.use((req, res, next) => {
+      const started = process.hrtime.bigint();
+      res.on("finish", () => {
+        if (!this.metricsAccess) return;
+        this.metricsAccess.observeRequest({
+          method: req.method,
+          route: req.route ? `${req.baseUrl}${req.route.path}` : "unmatched",
+          status: res.statusCode,
+          seconds: Number(process.hrtime.bigint() - started) / 1e9,
+        });
+      });
+      next();
+    });
 
     // Middleware
     this.app.use(express.json());
@@ -15,16 +124,27 @@ class RestServer {
 
     // CORS
     this.app.use((req, res, next) => {
-      res.header("Access-Control-Allow-Origin", "*");
-      res.header(
-        "Access-Control-Allow-Methods",
-        "GET, POST, PUT, DELETE, OPTIONS",
-      );
-      res.header(
-        "Access-Control-Allow-Headers",
-        "Origin, X-Requested-With, Content-Type, Accept, Authorization",
-      );
-      if (req.method === "OPTIONS") return res.sendStatus(200);
+      const origin = req.get("Origin");
+      const allowed = this._allowedOrigin(origin);
+      if (allowed !== "*") res.vary("Origin");
+      if (allowed) {
+        res.header("Access-Control-Allow-Origin", allowed);
+        res.header(
+          "Access-Control-Allow-Methods",
+          "GET, POST, PUT, DELETE, OPTIONS",
+        );
+        res.header(
+          "Access-Control-Allow-Headers",
+          "Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key",
+        );
+        res.header(
+          "Access-Control-Expose-Headers",
+          "ETag, Retry-After, X-Total-Count, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset",
+        );
+      }
+      if (req.method === "OPTIONS") {
+        return res.sendStatus(origin && !allowed ? 403 : 200);
+      }
       next();
     });
 
@@ -36,38 +156,278 @@ class RestServer {
   // Helpers
   // ------------------------------------------------------------------------
 
-  _ensurePriceService(res) {
-    if (!this.priceService) {
+  _getPriceService(region = null) {
+    if (region) return this.regionPriceServices.get(region) || null;
+    return this.priceService;
+  }
+
+  _ensurePriceService(res, region = null) {
+    if (!this._getPriceService(region)) {
       this._sendError(res, 500, "Price service not initialized");
       return false;
     }
     return true;
   }
 
+  /**
+   * Access-Control-Allow-Origin for a request origin, or null when the
+   * origin is not allowed
+   */
+  _allowedOrigin(origin) {
+    if (this.corsOrigins.includes("*")) return "*";
+    return origin && this.corsOrigins.includes(origin) ? origin : null;
+  }
+
   _isValidDate(date) {
     return /^\d{4}-\d{2}-\d{2}$/.test(date);
   }
 
-  _sendError(res, status, message) {
+  /**
+   * Read an optional time window from `after`/`from` and `before`/`to`.
+   * Values are ISO timestamps or HH:mm (next occurrence).
+   */
+  _readTimeRange(query) {
+    const now = new Date();
+    const range = {};
+    for (const [name, keys] of [
+      ["from", ["after", "from"]],
+      ["to", ["before", "to"]],
+    ]) {
+      const key = keys.find((k) => query[k] !== undefined && query[k] !== "");
+      if (!key) continue;
+      const date = resolveTime(query[key], now, this.timezone);
+      if (!date) {
+        return {
+          error: `Invalid ${key} time. Use an ISO timestamp or HH:mm.`,
+        };
+      }
+      range[name] = date;
+    }
+    return range;
+  }
+
+  /**
+   * Parse `?level=cheap,very_cheap` (repeatable) into a set of level names
+   */
+  _readLevelFilter(query) {
+    if (query.level === undefined || query.level === "") {
+      return { levels: null };
+    }
+    const levels = new Set();
+    const values = []
+      .concat(query.level)
+      .flatMap((value) => String(value).split(","));
+    for (const value of values) {
+      const level = PriceLevels.normalizeLevel(value);
+      if (!level) {
+        return {
+          error: `Invalid level: ${value}. Use ${PriceLevels.LEVELS.join(", ")}.`,
+        };
+      }
+      levels.add(level);
+    }
+    return { levels };
+  }
+
+  /**
+   * Keep only the slots with a matching level, in a slot array or in the
+   * `hourly` array of a whole-day object
+   */
+  _filterByLevel(value, levels) {
+    if (!levels) return value;
+    const keep = (entries) =>
+      entries.filter((entry) => entry && levels.has(entry.level));
+    if (Array.isArray(value)) return keep(value);
+    if (value && Array.isArray(value.hourly)) {
+      return { ...value, hourly: keep(value.hourly) };
+    }
+    return value;
+  }
+
+  /**
+   * Response format from `?format=json|csv`, else from the Accept header
+   */
+  _readFormat(req, res) {
+    res.vary("Accept");
+    const format = req.query.format;
+    if (format !== undefined && format !== "") {
+      const value = String(format).toLowerCase();
+      if (value !== "json" && value !== "csv") {
+        return { error: `Invalid format: ${format}. Use json or csv.` };
+      }
+      return { format: value };
+    }
+    const preferred = req.accepts(["application/json", "text/csv"]);
+    return { format: preferred === "text/csv" ? "csv" : "json" };
+  }
+
+  /**
+   * Slot rows as a CSV download
+   */
+  _sendCsv(res, rows, filename) {
+    const zone = res.req.timeZone;
+    res.attachment(filename);
+    res.type("text/csv; charset=utf-8");
+    return res.send(toCsv(zone ? convertTimestamps(rows, zone) : rows));
+  }
+
+  /**
+   * Register a route described by ROUTE_SPECS[name] and record it for the
+   * OpenAPI document. The API key and rate limit are checked first, then
+   * the path and query parameters. Routes taking `tz` write their
+   * timestamps in that zone.
+   */
+  _route(method, path, name, handler) {
+    const spec = ROUTE_SPECS[name];
+    if (!spec) throw new Error(`No route spec named ${name}`);
+    const parameters = (spec.parameters || []).map(
+      (key) => this.apiParameters[key],
+    );
+    this.routes.push({ method, path, spec });
+    const guard = (req, res, next) => {
+      const { client, headers, error } = this.guard.check(req, {
+        isPublic: Boolean(spec.public),
+        admin: Boolean(spec.admin),
+        limited: spec.rateLimit !== false,
+      });
+      res.set(headers);
+      if (error) {
+        res.set(error.headers);
+        return this._sendError(res, error.status, error.message);
+      }
+      req.apiClient = client;
+      return next();
+    };
+    const validate = (req, res, next) => {
+      try {
+        validateParameters(parameters, req);
+      } catch (err) {
+        return this._sendError(res, err.status || 500, err.message);
+      }
+      return next();
+    };
+    const middleware = [guard, validate];
+    if ((spec.parameters || []).includes("tz")) {
+      middleware.push((req, res, next) => {
+        const zone = req.query.tz;
+        if (!zone) return next();
+        if (!isValidTimeZone(zone)) {
+          return this._sendError(
+            res,
+            400,
+            `Invalid tz: ${zone}. Use an IANA time zone such as Europe/Oslo.`,
+          );
+        }
+        req.timeZone = zone;
+        const json = res.json.bind(res);
+        res.json = (body) => json(convertTimestamps(body, zone));
+        return next();
+      });
+    }
+    this.app[method](path, ...middleware, handler);
+  }
+
+  /**
+   * OpenAPI 3 document of the registered routes
+   */
+  getOpenApiDocument() {
+    return buildOpenApiDocument(this.routes, {
+      parameters: this.apiParameters,
+      apiKeys: this.guard.requiresKey,
+      title: "ElWiz Prices REST API",
+      version,
+      description:
+        "Electricity prices, price navigation and planning. Errors are JSON objects with status and error.",
+    });
+  }
+
+  _sendError(res, status, message, extra = {}) {
     res.status(status).json({
       status,
       error: message,
       info: "See REST API usage at https://github.com/iotux/elwiz-prices#rest-api-prices",
+      ...extra,
     });
   }
 
+  /**
+   * Today's date in the market time zone, shifted by `offset` days
+   */
+  _marketDate(offset = 0) {
+    return addDays(dateInTimeZone(new Date(), this.timezone), offset);
+  }
+
+  /**
+   * 404 for a date without prices. Tomorrow is reported as not yet
+   * published, with the time the prices are expected.
+   */
+  _sendMissingDate(res, date) {
+    if (date !== this._marketDate(1)) {
+      return this._sendError(
+        res,
+        404,
+        `Price data not available for date: ${date}`,
+      );
+    }
+    let expectedAt = null;
+    if (this.publicationTime) {
+      const expected = zonedTimeToDate(
+        this._marketDate(0),
+        this.publicationTime,
+        this.timezone,
+      );
+      expectedAt = formatInTimeZone(expected, this.timezone);
+      const seconds = Math.ceil((expected - Date.now()) / 1000);
+      if (seconds > 0) res.set("Retry-After", String(seconds));
+    }
+    return this._sendError(
+      res,
+      404,
+      `Prices for ${date} are not yet published`,
+      { date, published: false, expectedAt },
+    );
+  }
+
+  /**
+   * Set ETag, Last-Modified and Cache-Control for a response built from the
+   * price day of `date`, and send 304 when the client's copy is current.
+   * `variant` tells representations of the same URL apart (e.g. "csv"),
+   * as does a `?tz=`. Returns true when the 304 was sent.
+   */
+  _notModified(req, res, day, date, variant = null) {
+    const hash = day.contentHash || contentHash(day);
+    const tag = [hash, variant, req.timeZone].filter(Boolean).join("-");
+    res.set("ETag", `"${tag}"`);
+    if (day.fetchedAt) {
+      res.set("Last-Modified", new Date(day.fetchedAt).toUTCString());
+    }
+    // Past days are final; today's and tomorrow's may still be corrected
+    const maxAge =
+      date < this._marketDate(0) ? this.pastMaxAge : this.currentMaxAge;
+    // Behind API keys, shared caches must not hand the answer to clients
+    // without one
+    const scope = this.guard.requiresKey ? "private" : "public";
+    if (this.guard.requiresKey) res.vary("Authorization").vary("X-API-Key");
+    res.set("Cache-Control", `${scope}, max-age=${maxAge}`);
+    if (!req.fresh) return false;
+    res.status(304).end();
+    return true;
+  }
+
   /**
    * Strict object fetcher for a given date.
    * Priority:
    *   1) priceService.getDayObject(date)               -> return AS-IS
    *   2) priceService.get{Current|Next|Previous}DayObject() (if date matches) -> AS-IS
    *   3) cacheAccess.getPriceDataByDate(date)          -> AS-IS
-   * No object assembly performed here.
+   * No object assembly performed here. `region` selects the region's price
+   * service and cache keys; omit it for the default region.
    */
-  async _fetchPriceObject(date) {
+  async _fetchPriceObject(date, region = null) {
     if (!this._isValidDate(date)) return null;
 
-    const ps = this.priceService;
+    const ps = this._getPriceService(region);
+    const cacheRegion = region || undefined;
 
     // 1) Direct date-based getter, if provided by priceService
     try {
@@ -110,10 +470,13 @@ class RestServer {
         !this.cacheAccess?.priceDataExists
       )
         return null;
-      const exists = await this.cacheAccess.priceDataExists(date);
+      const exists = await this.cacheAccess.priceDataExists(date, cacheRegion);
       if (!exists) return null;
 
-      const cached = await this.cacheAccess.getPriceDataByDate(date);
+      const cached = await this.cacheAccess.getPriceDataByDate(
+        date,
+        cacheRegion,
+      );
       return cached || null;
     } catch {
       return null;
@@ -151,169 +514,633 @@ class RestServer {
   // ------------------------------------------------------------------------
 
   setupRoutes() {
+    // today/tomorrow/yesterday -> YYYY-MM-DD in the market time zone
+    this.app.param("date", (req, _res, next, value) => {
+      const alias = String(value).toLowerCase();
+      if (Object.prototype.hasOwnProperty.call(DATE_ALIASES, alias)) {
+        req.params.date = this._marketDate(DATE_ALIASES[alias]);
+      }
+      next();
+    });
+
     // Health route
-    this.app.get("/health", (_req, res) => res.json({ status: "ok" }));
+    this._route("get", "/health", "health", (_req, res) =>
+      res.json({ status: "ok" }),
+    );
 
-    // API docs
-    this.app.get("/api", (_req, res) => {
-      const base = this.basePath;
+    // Prometheus metrics
+    this._route("get", "/metrics", "metrics", async (_req, res) => {
+      if (!this.metricsAccess) {
+        return this._sendError(res, 404, "Metrics are not enabled");
+      }
+      try {
+        const text = await this.metricsAccess.render();
+        return res.type(this.metricsAccess.contentType).send(text);
+      } catch (err) {
+        return this._sendError(res, 500, err.message);
+      }
+    });
+
+    // API docs: index, OpenAPI document and a browsable page
+    this._route("get", "/api", "apiIndex", (_req, res) => {
       res.json({
-        status: 501,
-        error: "Endpoint not implemented. See documentation for available routes.",
-        info: "See REST API usage at https://github.com/iotux/elwiz-prices#rest-api-prices",
+        name: "elwiz-prices",
+        version,
+        openapi: "/api/openapi.json",
+        docs: "/api/docs",
         documentation: "https://github.com/iotux/elwiz-prices#rest-api-prices",
-        basePath: base,
+        basePath: this.basePath,
+        routes: this.routes.map(
+          ({ method, path, spec }) =>
+            `${method.toUpperCase()} ${path} - ${spec.summary}`,
+        ),
       });
     });
 
-    const basePath = this.basePath;
-    const registerRoutesForBase = () => {
-      // Daily object
-      this.app.get(`${basePath}/:date/daily`, async (req, res) => {
-        if (!this._ensurePriceService(res)) return;
-        const date = req.params.date;
-        if (!this._isValidDate(date)) {
-          return this._sendError(res, 400, "Invalid date format. Expected YYYY-MM-DD.");
+    this._route("get", "/api/openapi.json", "openapi", (_req, res) =>
+      res.json(this.getOpenApiDocument()),
+    );
+
+    this._route("get", "/api/docs", "docs", (_req, res) =>
+      res.type("html").send(renderDocsPage({ specUrl: "/api/openapi.json" })),
+    );
+
+    // Dashboard: a static page that reads the routes below
+    if (this.options.dashboard) {
+      this._route("get", "/", "dashboard", (_req, res) =>
+        res.sendFile(path.join(PUBLIC_DIR, "index.html")),
+      );
+      this.app.use(express.static(PUBLIC_DIR, { index: false }));
+    }
+
+    // Capacity tariff: current/projected step and peak reporting
+    this._route("get", "/api/capacity", "capacity", async (_req, res) => {
+      if (!this.capacityAccess) {
+        return this._sendError(res, 404, "Capacity tariff is not configured");
+      }
+      try {
+        return res.json(await this.capacityAccess.getStatus());
+      } catch (err) {
+        return this._sendError(res, err.status || 500, err.message);
+      }
+    });
+
+    this._route(
+      "post",
+      "/api/capacity/peaks",
+      "capacityPeak",
+      async (req, res) => {
+        if (!this.capacityAccess) {
+          return this._sendError(res, 404, "Capacity tariff is not configured");
         }
+        const { peak, date } = req.body || {};
         try {
-          const obj = await this._fetchPriceObject(date);
-          if (!obj)
-            return this._sendError(
-              res,
-              404,
-              `Price data not available for date: ${date}`,
-            );
-
-          const value = this._getByPath(obj, "daily");
-          if (typeof value === "undefined") {
-            return this._sendError(res, 404, "Path not found: /daily");
-          }
-          return res.json(value);
+          const status = await this.capacityAccess.recordPeak(
+            peak,
+            date || undefined,
+          );
+          return res.json(status);
         } catch (err) {
-          return this._sendError(res, 500, err.message);
+          return this._sendError(res, err.status || 500, err.message);
         }
-      });
+      },
+    );
 
-      // Daily element
-      this.app.get(`${basePath}/:date/daily/:element`, async (req, res) => {
-        if (!this._ensurePriceService(res)) return;
-        const { date, element } = req.params;
-        if (!this._isValidDate(date)) {
-          return this._sendError(res, 400, "Invalid date format. Expected YYYY-MM-DD.");
+    // Battery charge/discharge plan; `soc` overrides the known state of charge
+    this._route("get", "/api/battery/plan", "batteryPlan", (req, res) => {
+      if (!this.batteryAccess) {
+        return this._sendError(res, 404, "Battery planner is not configured");
+      }
+      const { soc, field } = req.query;
+      try {
+        return res.json(
+          this.batteryAccess.getPlan({
+            socPercent: soc === undefined ? null : soc,
+            field: field || null,
+          }),
+        );
+      } catch (err) {
+        return this._sendError(res, err.status || 500, err.message);
+      }
+    });
+
+    // EV charging plan. GET returns the active plan, or previews one when
+    // `energyKwh` is given; POST makes a request the active plan.
+    this._route("get", "/api/ev/plan", "evPlan", (req, res) => {
+      if (!this.evAccess) {
+        return this._sendError(res, 503, "EV planner is not available");
+      }
+      try {
+        if (req.query.energyKwh !== undefined) {
+          return res.json(this.evAccess.previewPlan(req.query));
         }
+        const plan = this.evAccess.getPlan();
+        if (!plan) {
+          return this._sendError(res, 404, "No active EV charging plan");
+        }
+        return res.json(plan);
+      } catch (err) {
+        return this._sendError(res, err.status || 500, err.message);
+      }
+    });
+
+    this._route("post", "/api/ev/plan", "evPlanSet", async (req, res) => {
+      if (!this.evAccess) {
+        return this._sendError(res, 503, "EV planner is not available");
+      }
+      try {
+        return res.json(await this.evAccess.setPlan(req.body || {}));
+      } catch (err) {
+        return this._sendError(res, err.status || 500, err.message);
+      }
+    });
+
+    this._route("delete", "/api/ev/plan", "evPlanClear", async (_req, res) => {
+      if (!this.evAccess) {
+        return this._sendError(res, 503, "EV planner is not available");
+      }
+      try {
+        await this.evAccess.clearPlan();
+        return res.status(204).end();
+      } catch (err) {
+        return this._sendError(res, err.status || 500, err.message);
+      }
+    });
+
+    // Long-range statistics. Without a key, every recorded rollup of the
+    // period is listed (optionally limited by ?from=&to= keys).
+    this._route(
+      "get",
+      "/api/stats/:period/:key?",
+      "stats",
+      async (req, res) => {
+        if (!this.statsAccess) {
+          return this._sendError(res, 404, "Price statistics are not enabled");
+        }
+        const { period, key } = req.params;
+        const region = req.query.region || undefined;
         try {
-          const obj = await this._fetchPriceObject(date);
-          if (!obj)
-            return this._sendError(
-              res,
-              404,
-              `Price data not available for date: ${date}`,
+          if (!key) {
+            return res.json(
+              await this.statsAccess.listStats(period, region, {
+                from: req.query.from || null,
+                to: req.query.to || null,
+              }),
             );
-
-          const value = this._getByPath(obj, `daily/${element}`);
-          if (typeof value === "undefined") {
+          }
+          const stats = await this.statsAccess.getStats(period, key, region);
+          if (!stats) {
             return this._sendError(
               res,
               404,
-              `Path not found: /daily/${element}`,
+              `No ${period} statistics recorded for ${key}`,
             );
           }
-          return res.json(value);
+          return res.json(stats);
         } catch (err) {
-          return this._sendError(res, 500, err.message);
+          return this._sendError(res, err.status || 500, err.message);
         }
-      });
+      },
+    );
 
-      // Hour shorthand: base/:date/:hour(0-23) -> hourly[hour]
-      this.app.get(`${basePath}/:date/:hour(\\d+)`, async (req, res) => {
-        if (!this._ensurePriceService(res)) return;
-        const date = req.params.date;
-        const hour = parseInt(req.params.hour, 10);
+    // Server-Sent Events: ?events=prices,tomorrow,slot&region=NO1
+    this._route("get", "/api/stream", "stream", (req, res) => {
+      if (!this.priceStream) {
+        return this._sendError(res, 404, "Event stream is not enabled");
+      }
+      const readList = (value) =>
+        value === undefined || value === ""
+          ? null
+          : []
+              .concat(value)
+              .flatMap((item) => String(item).split(","))
+              .map((item) => item.trim())
+              .filter(Boolean);
+      // Event types were checked against the route spec
+      const types = readList(req.query.events)?.map((type) =>
+        type.toLowerCase(),
+      );
+      const regions = readList(req.query.region)?.map((region) =>
+        region.toUpperCase(),
+      );
+      const known = this._streamServices()
+        .map((entry) => entry.region)
+        .filter(Boolean);
+      const unknown = known.length
+        ? regions?.find((region) => !known.includes(region))
+        : null;
+      if (unknown) {
+        return this._sendError(res, 400, `Unknown region: ${unknown}`);
+      }
+      this.priceStream.addClient(req, res, { types, regions });
+    });
 
-        if (!this._isValidDate(date)) {
-          return this._sendError(res, 400, "Invalid date format. Expected YYYY-MM-DD.");
+    // iCalendar feed of the cheapest and most expensive window per day
+    this._route("get", "/api/calendar.ics", "calendar", async (req, res) => {
+      const region = req.query.region
+        ? String(req.query.region).toUpperCase()
+        : null;
+      const known = this.regions.length
+        ? this.regions
+        : this._streamServices()
+            .map((entry) => entry.region)
+            .filter(Boolean);
+      if (region && known.length && !known.includes(region)) {
+        return this._sendError(res, 400, `Unknown region: ${req.query.region}`);
+      }
+      // A single-region server keeps its prices without a region
+      const priceRegion = this.regions.length ? region : null;
+      if (!this.cacheAccess?.getCachedDates) {
+        return this._sendError(res, 503, "Price cache is not available");
+      }
+      try {
+        const options = parseCalendarOptions(req.query);
+        const since = this._marketDate(-options.days);
+        const cached = await this.cacheAccess.getCachedDates(
+          priceRegion || undefined,
+        );
+        const dates = cached.filter((date) => date >= since).sort();
+        const days = [];
+        for (const date of dates) {
+          const day = await this._fetchPriceObject(date, priceRegion);
+          if (day) days.push(day);
         }
-        if (Number.isNaN(hour) || hour < 0 || hour > 23) {
-          return this._sendError(res, 400, "Invalid hour. Must be 0-23.");
+        res.type("text/calendar; charset=utf-8");
+        return res.send(buildCalendar(days, { ...options, region }));
+      } catch (err) {
+        return this._sendError(res, err.status || 500, err.message);
+      }
+    });
+
+    // Admin: refetch or remove a cached day, republish to MQTT and status.
+    // These need an API key with `admin: true`.
+    const withAdmin = (handler) => async (req, res) => {
+      if (!this.adminAccess) {
+        return this._sendError(res, 503, "Admin access is not available");
+      }
+      try {
+        return await handler(req, res);
+      } catch (err) {
+        return this._sendError(res, err.status || 500, err.message);
+      }
+    };
+
+    this._route(
+      "post",
+      "/api/admin/refetch/:date",
+      "adminRefetch",
+      withAdmin(async (req, res) => {
+        const { source, region } = req.query;
+        console.log(`REST admin ${req.apiClient}: refetch ${req.params.date}`);
+        const result = await this.adminAccess.refetch(req.params.date, {
+          source: source ? String(source).toLowerCase() : null,
+          region: region || null,
+        });
+        return res.json(result);
+      }),
+    );
+
+    this._route(
+      "delete",
+      "/api/admin/cache/:date",
+      "adminDeleteDay",
+      withAdmin(async (req, res) => {
+        const { date } = req.params;
+        console.log(`REST admin ${req.apiClient}: delete ${date}`);
+        const removed = await this.adminAccess.deleteDay(
+          date,
+          req.query.region || null,
+        );
+        if (!removed) {
+          return this._sendError(
+            res,
+            404,
+            `No cached prices for date: ${date}`,
+          );
         }
+        return res.status(204).end();
+      }),
+    );
 
-        try {
-          const obj = await this._fetchPriceObject(date);
-          if (!obj)
-            return this._sendError(
-              res,
-              404,
-              `Price data not available for date: ${date}`,
-            );
+    this._route(
+      "post",
+      "/api/admin/republish",
+      "adminRepublish",
+      withAdmin(async (req, res) => {
+        const regions = req.query.region
+          ? String(req.query.region).split(",").filter(Boolean)
+          : null;
+        console.log(`REST admin ${req.apiClient}: republish`);
+        return res.json(await this.adminAccess.republish(regions));
+      }),
+    );
 
-          const value = this._getByPath(obj, `hourly/${hour}`);
-          if (typeof value === "undefined") {
-            return this._sendError(
-              res,
-              404,
-              `Path not found: /hourly/${hour}`,
-            );
+    this._route(
+      "get",
+      "/api/admin/status",
+      "adminStatus",
+      withAdmin(async (_req, res) =>
+        res.json(await this.adminAccess.getStatus()),
+      ),
+    );
+
+    // Register the date routes once per base path. Region bases
+    // (/api/prices/<region>) go first so `:date` never captures a region code.
+    const registerRoutesForBase = (basePath, region = null) => {
+      // Flat slot series across days: ?from=&to=&resolution=&fields=&offset=&limit=
+      this._route("get", basePath, "priceRange", async (req, res) => {
+        if (!this._ensurePriceService(res, region)) return;
+        const { format, error } = this._readFormat(req, res);
+        if (error) return this._sendError(res, 400, error);
+        // CSV returns the whole range unless a page is asked for
+        const paginate =
+          format === "json" ||
+          req.query.offset !== undefined ||
+          req.query.limit !== undefined;
+        try {
+          const range = await queryPriceRange(
+            req.query,
+            (date) => this._fetchPriceObject(date, region),
+            { paginate, timeZone: this.timezone },
+          );
+          if (format === "csv") {
+            res.set("X-Total-Count", String(range.total));
+            const name = [region, req.query.from, req.query.to]
+              .filter(Boolean)
+              .map((part) => String(part).slice(0, 10))
+              .join("-");
+            return this._sendCsv(res, range.slots, `prices-${name}.csv`);
           }
-          return res.json(value);
+          return res.json({ region: region || null, ...range });
         } catch (err) {
-          return this._sendError(res, 500, err.message);
+          return this._sendError(res, err.status || 500, err.message);
         }
       });
 
-      // Hour element shorthand: base/:date/:hour/:element
-      this.app.get(`${basePath}/:date/:hour(\\d+)/:element`, async (req, res) => {
-        if (!this._ensurePriceService(res)) return;
-        const { date, hour: hourStr, element } = req.params;
-        const hour = parseInt(hourStr, 10);
+      // Cheapest contiguous window (before the :date routes)
+      this._route(
+        "get",
+        `${basePath}/cheapest-window`,
+        "cheapestWindow",
+        (req, res) => {
+          if (!this._ensurePriceService(res, region)) return;
+          const duration = req.query.duration || "1h";
+          if (!parseDuration(duration)) {
+            return this._sendError(
+              res,
+              400,
+              "Invalid duration. Use e.g. 3h, 90m or 1h30m.",
+            );
+          }
+          const range = this._readTimeRange(req.query);
+          if (range.error) return this._sendError(res, 400, range.error);
 
-        if (!this._isValidDate(date)) {
-          return this._sendError(res, 400, "Invalid date format. Expected YYYY-MM-DD.");
-        }
-        if (Number.isNaN(hour) || hour < 0 || hour > 23) {
-          return this._sendError(res, 400, "Invalid hour. Must be 0-23.");
-        }
+          try {
+            const window = this._getPriceService(region).findCheapestWindow({
+              duration,
+              from: range.from,
+              to: range.to,
+              field: req.query.field || null,
+            });
+            if (!window) {
+              return this._sendError(
+                res,
+                404,
+                `No complete ${duration} window in the available prices`,
+              );
+            }
+            return res.json(window);
+          } catch (err) {
+            return this._sendError(res, err.status || 500, err.message);
+          }
+        },
+      );
 
-        try {
-          const obj = await this._fetchPriceObject(date);
-          if (!obj)
+      // Cheapest non-contiguous slots with run/gap constraints
+      this._route(
+        "get",
+        `${basePath}/cheapest-slots`,
+        "cheapestSlots",
+        (req, res) => {
+          if (!this._ensurePriceService(res, region)) return;
+          const { count, duration, minRun, maxGap, maxPrice, field } =
+            req.query;
+          if (count === undefined && duration === undefined) {
             return this._sendError(
               res,
-              404,
-              `Price data not available for date: ${date}`,
+              400,
+              "Either count or duration is required.",
             );
+          }
+          const range = this._readTimeRange(req.query);
+          if (range.error) return this._sendError(res, 400, range.error);
+          // forceOn may be repeated or comma separated
+          const forceOn = []
+            .concat(req.query.forceOn || [])
+            .flatMap((value) => String(value).split(","))
+            .filter(Boolean);
 
-          const value = this._getByPath(obj, `hourly/${hour}/${element}`);
-          if (typeof value === "undefined") {
+          try {
+            const selection = this._getPriceService(region).selectCheapestSlots(
+              {
+                count: count === undefined ? undefined : Number(count),
+                duration,
+                minRun,
+                maxGap,
+                maxPrice: maxPrice === undefined ? undefined : Number(maxPrice),
+                forceOn,
+                from: range.from,
+                to: range.to,
+                field: field || null,
+              },
+            );
+            if (!selection) {
+              return this._sendError(
+                res,
+                422,
+                "No selection satisfies the constraints in the available prices",
+              );
+            }
+            return res.json(selection);
+          } catch (err) {
+            return this._sendError(res, err.status || 500, err.message);
+          }
+        },
+      );
+
+      // Provisional prices for a day not yet published (default: tomorrow)
+      this._route(
+        "get",
+        `${basePath}/forecast/:date?`,
+        "forecast",
+        async (req, res) => {
+          if (!this.forecastAccess) {
             return this._sendError(
               res,
               404,
-              `Path not found: /hourly/${hour}/${element}`,
+              "Price forecasting is not enabled",
             );
           }
-          return res.json(value);
-        } catch (err) {
-          return this._sendError(res, 500, err.message);
+          const filter = this._readLevelFilter(req.query);
+          if (filter.error) return this._sendError(res, 400, filter.error);
+          try {
+            const forecast = await this.forecastAccess.getForecast(
+              req.params.date,
+              region,
+            );
+            if (!forecast) {
+              return this._sendError(res, 404, "No forecast available");
+            }
+            return res.json(this._filterByLevel(forecast, filter.levels));
+          } catch (err) {
+            return this._sendError(res, err.status || 500, err.message);
+          }
+        },
+      );
+
+      // Current slot, the next slot and the time left of the current one
+      const sendNow = (req, res) => {
+        if (!this._ensurePriceService(res, region)) return;
+        const now = this._getPriceService(region).getNow();
+        if (!now) {
+          return this._sendError(
+            res,
+            404,
+            "No price slot covers the current time",
+          );
         }
-      });
+        const value = this._getByPath(now, req.params[0] || "");
+        if (typeof value === "undefined") {
+          return this._sendError(res, 404, `Path not found: /${req.params[0]}`);
+        }
+        return res.json(value);
+      };
+      this._route("get", `${basePath}/now`, "now", sendNow);
+      this._route("get", `${basePath}/now/*`, "nowPath", sendNow);
+
+      // Daily object
+      this._route(
+        "get",
+        `${basePath}/:date/daily`,
+        "daily",
+        async (req, res) => {
+          if (!this._ensurePriceService(res, region)) return;
+          const date = req.params.date;
+          try {
+            const obj = await this._fetchPriceObject(date, region);
+            if (!obj) return this._sendMissingDate(res, date);
+
+            const value = this._getByPath(obj, "daily");
+            if (typeof value === "undefined") {
+              return this._sendError(res, 404, "Path not found: /daily");
+            }
+            if (this._notModified(req, res, obj, date)) return;
+            return res.json(value);
+          } catch (err) {
+            return this._sendError(res, 500, err.message);
+          }
+        },
+      );
+
+      // Daily element
+      this._route(
+        "get",
+        `${basePath}/:date/daily/:element`,
+        "dailyElement",
+        async (req, res) => {
+          if (!this._ensurePriceService(res, region)) return;
+          const { date, element } = req.params;
+          try {
+            const obj = await this._fetchPriceObject(date, region);
+            if (!obj) return this._sendMissingDate(res, date);
+
+            const value = this._getByPath(obj, `daily/${element}`);
+            if (typeof value === "undefined") {
+              return this._sendError(
+                res,
+                404,
+                `Path not found: /daily/${element}`,
+              );
+            }
+            if (this._notModified(req, res, obj, date)) return;
+            return res.json(value);
+          } catch (err) {
+            return this._sendError(res, 500, err.message);
+          }
+        },
+      );
+
+      // Hour shorthand: base/:date/:hour(0-23) -> hourly[hour]
+      this._route(
+        "get",
+        `${basePath}/:date/:hour(\\d+)`,
+        "hour",
+        async (req, res) => {
+          if (!this._ensurePriceService(res, region)) return;
+          const date = req.params.date;
+          const hour = parseInt(req.params.hour, 10);
+
+          try {
+            const obj = await this._fetchPriceObject(date, region);
+            if (!obj) return this._sendMissingDate(res, date);
+
+            const value = this._getByPath(obj, `hourly/${hour}`);
+            if (typeof value === "undefined") {
+              return this._sendError(
+                res,
+                404,
+                `Path not found: /hourly/${hour}`,
+              );
+            }
+            if (this._notModified(req, res, obj, date)) return;
+            return res.json(value);
+          } catch (err) {
+            return this._sendError(res, 500, err.message);
+          }
+        },
+      );
+
+      // Hour element shorthand: base/:date/:hour/:element
+      this._route(
+        "get",
+        `${basePath}/:date/:hour(\\d+)/:element`,
+        "hourElement",
+        async (req, res) => {
+          if (!this._ensurePriceService(res, region)) return;
+          const { date, hour: hourStr, element } = req.params;
+          const hour = parseInt(hourStr, 10);
+
+          try {
+            const obj = await this._fetchPriceObject(date, region);
+            if (!obj) return this._sendMissingDate(res, date);
+
+            const value = this._getByPath(obj, `hourly/${hour}/${element}`);
+            if (typeof value === "undefined") {
+              return this._sendError(
+                res,
+                404,
+                `Path not found: /hourly/${hour}/${element}`,
+              );
+            }
+            if (this._notModified(req, res, obj, date)) return;
+            return res.json(value);
+          } catch (err) {
+            return this._sendError(res, 500, err.message);
+          }
+        },
+      );
 
       // Generic path resolver (place BEFORE whole-day route)
-      this.app.get(`${basePath}/:date/*`, async (req, res) => {
-        if (!this._ensurePriceService(res)) return;
+      this._route("get", `${basePath}/:date/*`, "dayPath", async (req, res) => {
+        if (!this._ensurePriceService(res, region)) return;
         const date = req.params.date;
 
-        if (!this._isValidDate(date)) {
-          return this._sendError(res, 400, "Invalid date format. Expected YYYY-MM-DD.");
-        }
+        const filter = this._readLevelFilter(req.query);
+        if (filter.error) return this._sendError(res, 400, filter.error);
 
         try {
-          const obj = await this._fetchPriceObject(date);
-          if (!obj) {
-            return this._sendError(
-              res,
-              404,
-              `Price data not available for date: ${date}`,
-            );
-          }
+          const obj = await this._fetchPriceObject(date, region);
+          if (!obj) return this._sendMissingDate(res, date);
 
           const path = req.params[0] || "";
           const value = this._getByPath(obj, path);
@@ -322,38 +1149,44 @@ class RestServer {
             const normalized = path.startsWith("/") ? path : `/${path}`;
             return this._sendError(res, 404, `Path not found: ${normalized}`);
           }
-          return res.json(value);
+          if (this._notModified(req, res, obj, date)) return;
+          return res.json(this._filterByLevel(value, filter.levels));
         } catch (err) {
           return this._sendError(res, 500, err.message);
         }
       });
 
       // Whole day object (after more specific routes)
-      this.app.get(`${basePath}/:date`, async (req, res) => {
-        if (!this._ensurePriceService(res)) return;
+      this._route("get", `${basePath}/:date`, "day", async (req, res) => {
+        if (!this._ensurePriceService(res, region)) return;
         const date = req.params.date;
 
-        if (!this._isValidDate(date)) {
-          return this._sendError(res, 400, "Invalid date format. Expected YYYY-MM-DD.");
-        }
+        const filter = this._readLevelFilter(req.query);
+        if (filter.error) return this._sendError(res, 400, filter.error);
+        const { format, error } = this._readFormat(req, res);
+        if (error) return this._sendError(res, 400, error);
 
         try {
-          const obj = await this._fetchPriceObject(date);
-          if (!obj) {
-            return this._sendError(
-              res,
-              404,
-              `Price data not available for date: ${date}`,
-            );
+          const obj = await this._fetchPriceObject(date, region);
+          if (!obj) return this._sendMissingDate(res, date);
+          const variant = format === "csv" ? "csv" : null;
+          if (this._notModified(req, res, obj, date, variant)) return;
+          const day = this._filterByLevel(obj, filter.levels);
+          if (format === "csv") {
+            const name = [region, date].filter(Boolean).join("-");
+            return this._sendCsv(res, dayRows(day), `prices-${name}.csv`);
           }
-          return res.json(obj);
+          return res.json(day);
         } catch (err) {
           return this._sendError(res, 500, err.message);
         }
       });
     };
 
-    registerRoutesForBase();
+    for (const region of this.regions) {
+      registerRoutesForBase(`${this.basePath}/${region}`, region);
+    }
+    registerRoutesForBase(this.basePath);
 
     // Fallback 404 handler (JSON)
     this.app.use((req, res, next) => {
@@ -375,14 +1208,80 @@ class RestServer {
   // Lifecycle
   // ------------------------------------------------------------------------
 
-  setPriceService(priceService) {
-    this.priceService = priceService;
+  setPriceService(priceService, region = null) {
+    if (region) {
+      this.regionPriceServices.set(region, priceService);
+    } else {
+      this.priceService = priceService;
+    }
   }
 
   setCacheAccess(cacheAccess) {
     this.cacheAccess = cacheAccess;
   }
 
+  setCapacityAccess(capacityAccess) {
+    this.capacityAccess = capacityAccess;
+  }
+
+  setBatteryAccess(batteryAccess) {
+    this.batteryAccess = batteryAccess;
+  }
+
+  setEvAccess(evAccess) {
+    this.evAccess = evAccess;
+  }
+
+  setStatsAccess(statsAccess) {
+    this.statsAccess = statsAccess;
+  }
+
+  setForecastAccess(forecastAccess) {
+    this.forecastAccess = forecastAccess;
+  }
+
+  setMetricsAccess(metricsAccess) {
+    this.metricsAccess = metricsAccess;
+  }
+
+  setAdminAccess(adminAccess) {
+    this.adminAccess = adminAccess;
+  }
+
+  /**
+   * Stream price events from `events` (the price services' emitter) at
+   * /api/stream
+   */
+  setEventSource(events) {
+    if (this.priceStream) this.priceStream.close();
+    this.priceStream = new PriceStream({
+      events,
+      getServices: () => this._streamServices(),
+      heartbeatSeconds: this.options.heartbeatSeconds,
+    });
+  }
+
+  /**
+   * The price services streamed, with their region codes
+   */
+  _streamServices() {
+    if (this.regions.length) {
+      return this.regions
+        .map((region) => ({
+          region,
+          service: this.regionPriceServices.get(region),
+        }))
+        .filter((entry) => entry.service);
+    }
+    if (!this.priceService) return [];
+    return [
+      {
+        region: this.priceService.config?.regionCode || null,
+        service: this.priceService,
+      },
+    ];
+  }
+
   start() {
     return new Promise((resolve, reject) => {
       this.server = this.app
@@ -396,6 +1295,8 @@ class RestServer {
 
   stop() {
     if (!this.server) return;
+    // Open event streams would keep the server from closing
+    if (this.priceStream) this.priceStream.close();
     return new Promise((resolve) => {
       this.server.close(() => {
         console.log("REST API server stopped");
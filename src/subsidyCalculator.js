@@ -0,0 +1,177 @@
+/**
+ * ElWiz Prices - Subsidy Calculator
+ *
+ * Norwegian electricity subsidy (strømstøtte) and the Norgespris fixed-price
+ * alternative. The subsidy covers a percentage of the spot price above a
+ * threshold, measured on the month-to-date average (or per slot). The rules
+ * change every year, so every figure comes from config.
+ */
+
+const { roundPrice } = require("./priceSlots");
+
+const DEFAULT_REGIONS = ["NO1", "NO2", "NO3", "NO4", "NO5"];
+
+function numberOr(value, fallback) {
+  const number = Number(value);
+  return value === undefined || value === null || Number.isNaN(number)
+    ? fallback
+    : number;
+}
+
+class SubsidyCalculator {
+  constructor(config = {}, services = {}) {
+    const settings = config.subsidy || {};
+
+    this.enabled = Boolean(config.subsidy) && settings.enabled !== false;
+    this.regions = Array.isArray(settings.regions)
+      ? settings.regions.map((region) => String(region).toUpperCase())
+      : DEFAULT_REGIONS;
+    this.threshold = numberOr(settings.threshold, 0.75); // Per kWh, ex VAT
+    this.coveragePercent = numberOr(settings.coveragePercent, 90);
+    this.basis = settings.basis === "slot" ? "slot" : "monthAverage";
+    this.includeVat = settings.includeVat !== false;
+    this.vatPercent = numberOr(settings.vatPercent, null);
+    this.norgespris = numberOr(settings.norgespris, null); // Per kWh, ex VAT
+    this.decimals = numberOr(
+      settings.decimals,
+      numberOr(config.priceCalculation?.decimals, 4),
+    );
+
+    this.vatProvider =
+      services && typeof services.getVatPercent === "function"
+        ? services.getVatPercent
+        : null;
+  }
+
+  appliesTo(region) {
+    return this.enabled && this.regions.includes(String(region).toUpperCase());
+  }
+
+  getVatFactor(region) {
+    if (!this.includeVat) return 1;
+    const vatPercent =
+      this.vatPercent ?? (this.vatProvider ? this.vatProvider(region) : 25);
+    return 1 + vatPercent / 100;
+  }
+
+  /**
+   * Subsidy per kWh (ex VAT) for a reference spot price
+   */
+  subsidyFor(spotPrice) {
+    if (!Number.isFinite(spotPrice)) return 0;
+    return (
+      Math.max(0, spotPrice - this.threshold) * (this.coveragePercent / 100)
+    );
+  }
+
+  /**
+   * Return a copy of the price object with per-slot `subsidy` and `netPrice`
+   * (plus `norgesprisPrice` when configured) and a `monthToDate` block in the
+   * daily summary. `monthHistory` holds the earlier price objects of the month.
+   * `monthToDate.days` counts the days in the average and `expectedDays` the
+   * days of the month so far, so a partial basis shows.
+   */
+  apply(priceData, region, monthHistory = []) {
+    if (
+      !this.appliesTo(region) ||
+      !priceData ||
+      !Array.isArray(priceData.hourly)
+    ) {
+      return priceData;
+    }
+
+    const vatFactor = this.getVatFactor(region);
+    const monthSpots = [];
+    for (const day of monthHistory) {
+      for (const entry of day?.hourly || []) {
+        const value = Number(entry.spotPrice);
+        if (Number.isFinite(value)) monthSpots.push(value);
+      }
+    }
+    for (const entry of priceData.hourly) {
+      const value = Number(entry.spotPrice);
+      if (Number.isFinite(value)) monthSpots.push(value);
+    }
+    const monthAverage = monthSpots.length
+      ? monthSpots.reduce((sum, value) => sum + value, 0) / monthSpots.length
+      : null;
+    const monthSubsidy = this.subsidyFor(monthAverage);
+    // Average subsidy per kWh over the month so far, under the chosen basis
+    const monthAvgSubsidy =
+      this.basis === "slot" && monthSpots.length
+        ? monthSpots.reduce((sum, value) => sum + this.subsidyFor(value), 0) /
+          monthSpots.length
+        : monthSubsidy;
+
+    const hourly = priceData.hourly.map((entry) => {
+      const spotPrice = Number(entry.spotPrice);
+      const subsidyExVat =
+        this.basis === "slot" ? this.subsidyFor(spotPrice) : monthSubsidy;
+      const subsidy = subsidyExVat * vatFactor;
+      // Without the price-calculation stage the spot price is the base price
+      const basePrice = Number.isFinite(Number(entry.totalPrice))
+        ? Number(entry.totalPrice)
+        : spotPrice * vatFactor;
+      const result = {
+        ...entry,
+        subsidy: roundPrice(subsidy, this.decimals),
+        netPrice: roundPrice(basePrice - subsidy, this.decimals),
+      };
+      if (this.norgespris !== null) {
+        // Norgespris replaces the spot price; fees and taxes stay the same
+        result.norgesprisPrice = roundPrice(
+          basePrice - spotPrice * vatFactor + this.norgespris * vatFactor,
+          this.decimals,
+        );
+      }
+      return result;
+    });
+
+    const average = (field) => {
+      const values = hourly
+        .map((entry) => Number(entry[field]))
+        .filter((value) => Number.isFinite(value));
+      return values.length
+        ? roundPrice(
+            values.reduce((sum, value) => sum + value, 0) / values.length,
+            this.decimals,
+          )
+        : null;
+    };
+
+    const dayOfMonth = Number(String(priceData.priceDate || "").slice(8, 10));
+    const monthToDate = {
+      days: monthHistory.length + 1,
+      expectedDays: dayOfMonth || null,
+      avgSpotPrice: roundPrice(monthAverage, this.decimals),
+      threshold: this.threshold,
+      coveragePercent: this.coveragePercent,
+      basis: this.basis,
+      subsidy: roundPrice(monthAvgSubsidy * vatFactor, this.decimals),
+    };
+    if (this.norgespris !== null && monthAverage !== null) {
+      // Positive when Norgespris would have been cheaper than spot + subsidy
+      monthToDate.norgespris = roundPrice(
+        this.norgespris * vatFactor,
+        this.decimals,
+      );
+      monthToDate.norgesprisSaving = roundPrice(
+        (monthAverage - monthAvgSubsidy - this.norgespris) * vatFactor,
+        this.decimals,
+      );
+    }
+
+    return {
+      ...priceData,
+      hourly,
+      daily: {
+        ...(priceData.daily || {}),
+        avgSubsidy: average("subsidy"),
+        avgNetPrice: average("netPrice"),
+        monthToDate,
+      },
+    };
+  }
+}
+
+module.exports = SubsidyCalculator;
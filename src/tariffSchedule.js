@@ -0,0 +1,264 @@
+/**
+ * ElWiz Prices - Grid Tariff Schedule
+ *
+ * Resolves the time-of-use grid energy rate for a price slot from named periods
+ * with hour ranges, day-of-week masks, seasonal date ranges and holiday rules.
+ */
+
+const { getSlotHour, getSlotDate } = require("./priceSlots");
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const HOLIDAY_MODES = ["include", "exclude", "only"];
+
+function toUtcDate(dateStr) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function formatUtcDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addUtcDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+/**
+ * Easter Sunday (Gregorian calendar, anonymous algorithm)
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * First date from `fromDay` (inclusive) in the given month that falls on `weekday`
+ */
+function weekdayOnOrAfter(year, month, fromDay, weekday) {
+  const date = new Date(Date.UTC(year, month - 1, fromDay));
+  const shift = (weekday - date.getUTCDay() + 7) % 7;
+  return addUtcDays(date, shift);
+}
+
+/**
+ * Public holidays for the built-in calendars ('NO' and 'SE')
+ */
+function publicHolidays(calendar, year) {
+  const easter = easterSunday(year);
+  const fromEaster = (days) => formatUtcDate(addUtcDays(easter, days));
+  const fixed = (mmdd) => `${year}-${mmdd}`;
+
+  switch (String(calendar).toUpperCase()) {
+    case "NO":
+      return [
+        fixed("01-01"),
+        fromEaster(-3), // Skjærtorsdag
+        fromEaster(-2), // Langfredag
+        fromEaster(0), // Første påskedag
+        fromEaster(1), // Andre påskedag
+        fixed("05-01"),
+        fixed("05-17"),
+        fromEaster(39), // Kristi himmelfartsdag
+        fromEaster(49), // Første pinsedag
+        fromEaster(50), // Andre pinsedag
+        fixed("12-25"),
+        fixed("12-26"),
+      ];
+    case "SE":
+      return [
+        fixed("01-01"),
+        fixed("01-06"),
+        fromEaster(-2), // Långfredagen
+        fromEaster(0), // Påskdagen
+        fromEaster(1), // Annandag påsk
+        fixed("05-01"),
+        fromEaster(39), // Kristi himmelfärdsdag
+        fromEaster(49), // Pingstdagen
+        fixed("06-06"),
+        formatUtcDate(weekdayOnOrAfter(year, 6, 19, 5)), // Midsommarafton
+        formatUtcDate(weekdayOnOrAfter(year, 6, 20, 6)), // Midsommardagen
+        formatUtcDate(weekdayOnOrAfter(year, 10, 31, 6)), // Alla helgons dag
+        fixed("12-24"),
+        fixed("12-25"),
+        fixed("12-26"),
+        fixed("12-31"),
+      ];
+    default:
+      return [];
+  }
+}
+
+function parseDays(days) {
+  if (days === undefined || days === null) return null;
+  const list = Array.isArray(days) ? days : String(days).split(",");
+  const mask = new Set();
+  for (const item of list) {
+    const value = String(item).trim().toLowerCase();
+    if (/^\d$/.test(value)) {
+      mask.add(Number(value) % 7); // 0/7 = Sunday, 1 = Monday
+      continue;
+    }
+    const range = /^([a-z]{3})-([a-z]{3})$/.exec(value);
+    if (range) {
+      const from = DAY_NAMES.indexOf(range[1]);
+      const to = DAY_NAMES.indexOf(range[2]);
+      if (from === -1 || to === -1) {
+        throw new Error(`Invalid day range in grid tariff: ${item}`);
+      }
+      for (let day = from; ; day = (day + 1) % 7) {
+        mask.add(day);
+        if (day === to) break;
+      }
+      continue;
+    }
+    const index = DAY_NAMES.indexOf(value.slice(0, 3));
+    if (index === -1) {
+      throw new Error(`Invalid day in grid tariff: ${item}`);
+    }
+    mask.add(index);
+  }
+  return mask;
+}
+
+function parseHours(hours) {
+  if (hours === undefined || hours === null) return null;
+  const parts = Array.isArray(hours) ? hours : String(hours).split("-");
+  const [start, end] = parts.map(Number);
+  if (
+    parts.length !== 2 ||
+    !Number.isInteger(start) ||
+    !Number.isInteger(end) ||
+    start < 0 ||
+    start > 24 ||
+    end < 0 ||
+    end > 24
+  ) {
+    throw new Error(`Invalid hour range in grid tariff: ${hours}`);
+  }
+  return { start, end };
+}
+
+function parseSeason(season) {
+  if (!season) return null;
+  const pattern = /^\d{2}-\d{2}$/;
+  if (!pattern.test(season.from || "") || !pattern.test(season.to || "")) {
+    throw new Error("Grid tariff season needs 'from' and 'to' as MM-DD");
+  }
+  return { from: season.from, to: season.to };
+}
+
+class TariffSchedule {
+  constructor(settings = {}) {
+    this.defaultPrice =
+      settings.defaultPrice !== undefined
+        ? Number(settings.defaultPrice)
+        : null;
+    this.defaultName = settings.defaultName || "default";
+    // Market time zone for slot hours and dates (default: the slot's offset)
+    this.timeZone = settings.timeZone || null;
+    this.holidayCalendar = settings.holidayCalendar || null;
+    // YAML turns unquoted dates into Date objects
+    this.extraHolidays = new Set(
+      (settings.holidays || []).map((date) =>
+        date instanceof Date ? formatUtcDate(date) : String(date),
+      ),
+    );
+    this.holidayCache = new Map(); // year -> Set of holiday dates
+
+    this.periods = (settings.periods || []).map((period, index) => {
+      const holidays = period.holidays || "include";
+      if (!HOLIDAY_MODES.includes(holidays)) {
+        throw new Error(
+          `Invalid holidays mode '${holidays}' in grid tariff period ${period.name || index}`,
+        );
+      }
+      const price = Number(period.price);
+      if (Number.isNaN(price)) {
+        throw new Error(
+          `Grid tariff period ${period.name || index} is missing a price`,
+        );
+      }
+      return {
+        name: period.name || `period-${index + 1}`,
+        price,
+        hours: parseHours(period.hours),
+        days: parseDays(period.days),
+        season: parseSeason(period.season),
+        holidays,
+      };
+    });
+  }
+
+  isHoliday(dateStr) {
+    if (this.extraHolidays.has(dateStr)) return true;
+    if (!this.holidayCalendar) return false;
+    const year = Number(dateStr.slice(0, 4));
+    if (!this.holidayCache.has(year)) {
+      this.holidayCache.set(
+        year,
+        new Set(publicHolidays(this.holidayCalendar, year)),
+      );
+    }
+    return this.holidayCache.get(year).has(dateStr);
+  }
+
+  /**
+   * The first period matching the slot, or the default rate. Returns null when
+   * nothing matches and no default is configured.
+   */
+  resolve(entry) {
+    const dateStr = getSlotDate(entry, this.timeZone);
+    const hour = getSlotHour(entry, this.timeZone);
+    if (!dateStr || hour === null) return this.defaultRate();
+
+    const weekday = toUtcDate(dateStr).getUTCDay();
+    const monthDay = dateStr.slice(5);
+    const holiday = this.isHoliday(dateStr);
+
+    for (const period of this.periods) {
+      if (period.holidays === "exclude" && holiday) continue;
+      if (period.holidays === "only" && !holiday) continue;
+      if (period.days && !period.days.has(weekday)) continue;
+      if (period.hours && !inHourRange(hour, period.hours)) continue;
+      if (period.season && !inSeason(monthDay, period.season)) continue;
+      return { name: period.name, price: period.price };
+    }
+    return this.defaultRate();
+  }
+
+  defaultRate() {
+    return this.defaultPrice === null
+      ? null
+      : { name: this.defaultName, price: this.defaultPrice };
+  }
+}
+
+function inHourRange(hour, { start, end }) {
+  if (start === end) return true; // Whole day
+  if (start < end) return hour >= start && hour < end;
+  return hour >= start || hour < end; // Wraps past midnight
+}
+
+function inSeason(monthDay, { from, to }) {
+  if (from <= to) return monthDay >= from && monthDay <= to;
+  return monthDay >= from || monthDay <= to; // Wraps over new year
+}
+
+TariffSchedule.publicHolidays = publicHolidays;
+
+module.exports = TariffSchedule;
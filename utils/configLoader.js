@@ -162,15 +162,22 @@ class ConfigLoader {
       // Enable/disable methods
       enableMqtt: this.get("enableMqtt", true),
       enableRest: this.get("enableRest", false),
+      enableDashboard: this.get("enableDashboard", false), // Web dashboard at / (needs enableRest)
       cacheType: this.get("cacheType"),
       priceCacheType: this.get("priceCacheType"),
       currencyCacheType: this.get("currencyCacheType"),
       syncOnWrite: this.get("syncOnWrite"),
       priceSyncOnWrite: this.get("priceSyncOnWrite"),
       currencySyncOnWrite: this.get("currencySyncOnWrite"),
+      statsSyncOnWrite: this.get("statsSyncOnWrite"),
+      forecastSyncOnWrite: this.get("forecastSyncOnWrite"),
+      capacitySyncOnWrite: this.get("capacitySyncOnWrite"),
       backend: this.get("backend", {}),
       priceBackend: this.get("priceBackend", {}),
       currencyBackend: this.get("currencyBackend", {}),
+      statsBackend: this.get("statsBackend", {}),
+      forecastBackend: this.get("forecastBackend", {}),
+      capacityBackend: this.get("capacityBackend", {}),
 
       // MQTT configuration
       mqttUrl: this.get("mqttUrl", "mqtt://localhost:1883"),
@@ -179,9 +186,15 @@ class ConfigLoader {
 
       // REST configuration
       restPort: this.get("restPort", 3000),
+      apiKeys: this.get("apiKeys", null), // REST API keys, none means open access
+      rateLimit: this.get("rateLimit", null), // REST requests per window, per key and per IP
+      cors: this.get("cors", null), // Allowed CORS origins: a list or { origins: [...] }
+      restTrustProxy: this.get("restTrustProxy", null), // Express "trust proxy" for client IPs
 
       // Price settings
       regionCode: this.get("regionCode", "NO1"),
+      regions: this.get("regions", []), // Optional list of bidding zones
+      timezone: this.get("timezone", null), // Market time zone, e.g. Europe/Oslo
       priceCurrency: this.get("priceCurrency", "NOK"),
       priceInterval: this.get("priceInterval", "1h"), // '1h' or '15m'
       dayHoursStart: this.get("dayHoursStart", 6),
@@ -189,6 +202,18 @@ class ConfigLoader {
       savePath: this.get("savePath", "./data"),
       priceFilePath: this.get("priceFilePath", "./data/prices"),
       currencyFilePath: this.get("currencyFilePath", "./data/currencies"),
+      statsFilePath: this.get("statsFilePath", "./data/stats"),
+      forecastFilePath: this.get("forecastFilePath", "./data/forecasts"),
+      capacityFilePath: this.get("capacityFilePath", "./data/capacity"),
+
+      // Consumer price calculation (VAT, grid fees, supplier markup)
+      priceCalculation: this.get("priceCalculation", null),
+      gridTariff: this.get("gridTariff", null), // Time-of-use grid energy rates
+      subsidy: this.get("subsidy", null), // Strømstøtte and Norgespris
+      capacityTariff: this.get("capacityTariff", null), // Effekttrinn steps
+      priceLevels: this.get("priceLevels", null), // Slot level classification
+      battery: this.get("battery", null), // Home battery arbitrage planner
+      evCharging: this.get("evCharging", null), // EV planner defaults and MQTT
 
       // API settings
       entsoeBaseUrl: this.get(
@@ -198,6 +223,12 @@ class ConfigLoader {
       priceAccessToken: this.get("priceAccessToken"),
       priceFetchPriority: this.get("priceFetchPriority", "nordpool"),
       keepDays: this.get("keepDays", 7),
+      stats: this.get("stats", null), // Long-range rollups kept past keepDays
+      backfill: this.get("backfill", null), // Historical backfill pacing and retention
+      forecast: this.get("forecast", null), // Offline next-day price forecast
+      metrics: this.get("metrics", null), // Prometheus /metrics settings
+      stream: this.get("stream", null), // Server-Sent Events at /api/stream
+      httpCache: this.get("httpCache", null), // REST Cache-Control lifetimes and LRU size
       currencyUrl: this.get(
         "currencyUrl",
         "https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml",
@@ -0,0 +1,166 @@
+/**
+ * ElWiz Prices - Time zone helpers
+ *
+ * Calendar dates and wall-clock times in an IANA time zone (the market's,
+ * e.g. Europe/Oslo) using Intl only, independent of the server's zone.
+ */
+
+const formatters = new Map(); // timeZone -> Intl.DateTimeFormat
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+function getParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return parts;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * The server's own time zone
+ */
+function getDefaultTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in `timeZone`
+ */
+function dateInTimeZone(date, timeZone) {
+  const parts = getParts(date, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Wall-clock hour and minute of an instant in `timeZone`
+ */
+function clockInTimeZone(date, timeZone) {
+  const parts = getParts(date, timeZone);
+  return { hour: Number(parts.hour), minute: Number(parts.minute) };
+}
+
+/**
+ * Shift a YYYY-MM-DD date by whole days
+ */
+function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * UTC offset of `timeZone` at an instant, in minutes (e.g. 120 for CEST)
+ */
+function timeZoneOffsetMinutes(date, timeZone) {
+  const parts = getParts(date, timeZone);
+  const asUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second),
+  );
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The instant of a wall-clock time ('HH:mm') on a date in `timeZone`
+ */
+function zonedTimeToDate(dateStr, time, timeZone) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  const [hour, minute] = String(time || "00:00")
+    .split(":")
+    .map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute || 0);
+  // The offset at the guess can differ from the offset at the result around
+  // DST changes, so correct once
+  let offset = timeZoneOffsetMinutes(new Date(wallClock), timeZone);
+  const guess = wallClock - offset * 60000;
+  offset = timeZoneOffsetMinutes(new Date(guess), timeZone);
+  return new Date(wallClock - offset * 60000);
+}
+
+/**
+ * ISO timestamp with the zone's offset, e.g. 2025-10-15T13:00:00+02:00
+ */
+function formatInTimeZone(date, timeZone) {
+  const parts = getParts(date, timeZone);
+  const offset = timeZoneOffsetMinutes(date, timeZone);
+  const sign = offset < 0 ? "-" : "+";
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, "0");
+  const minutes = String(Math.abs(offset) % 60).padStart(2, "0");
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${sign}${hours}:${minutes}`;
+}
+
+// ISO timestamps that name their offset; plain dates and local times are left alone
+const TIMESTAMP_PATTERN =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+/**
+ * Copy of a JSON value with every ISO timestamp re-expressed in `timeZone`
+ */
+function convertTimestamps(value, timeZone) {
+  if (typeof value === "string") {
+    if (!TIMESTAMP_PATTERN.test(value)) return value;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime())
+      ? value
+      : formatInTimeZone(date, timeZone);
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? value
+      : formatInTimeZone(value, timeZone);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => convertTimestamps(item, timeZone));
+  }
+  if (value && typeof value === "object") {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = convertTimestamps(item, timeZone);
+    }
+    return result;
+  }
+  return value;
+}
+
+module.exports = {
+  isValidTimeZone,
+  getDefaultTimeZone,
+  dateInTimeZone,
+  clockInTimeZone,
+  addDays,
+  timeZoneOffsetMinutes,
+  zonedTimeToDate,
+  formatInTimeZone,
+  convertTimestamps,
+};
@@ -3,6 +3,7 @@ const fs = require('fs');
 const yaml = require('js-yaml');
 
 const { subHours, addHours, format, formatISO } = require('date-fns');
+const { addDays, dateInTimeZone } = require('./timezone');
 
 const weekDays = ['Mandag', 'Tirsdag', 'Onsdag', 'Torsdag', 'Fredag', 'Lørdag', 'Søndag'];
 
@@ -38,9 +39,21 @@ function getNextDate(isoDate) {
   return format(date, 'yyyy-MM-dd');
 }
 
-function skewDays(days) {
-  const oneDay = 86400000; // pre-calculate milliseconds in a day (24 * 60 * 60 * 1000)
-  const date = new Date(Date.now() + oneDay * days);
+/**
+ * Today's date shifted by `days`, as 'yyyy-MM-dd'. With a time zone the day
+ * is the one in that zone, otherwise the server's.
+ *
+ * @param {number} days - Whole days to add (negative for past days).
+ * @param {string} [timeZone] - IANA time zone, e.g. 'Europe/Oslo'.
+ * @return {string} The shifted calendar date.
+ */
+function skewDays(days, timeZone = null) {
+  if (timeZone) {
+    return addDays(dateInTimeZone(new Date(), timeZone), days);
+  }
+  // Calendar arithmetic, so days with a DST change count as one day
+  const date = new Date();
+  date.setDate(date.getDate() + days);
   return format(date, 'yyyy-MM-dd');
 }
 